@@ -0,0 +1,108 @@
+// Server-side AI for an empty seat. It only produces inputs, which go through
+// the same queue as a human's and end up in the replay like any other press.
+const { DIRECTIONS, isWalkable, neighbor, distancesFrom, distanceAt } = require("./grid")
+const { getMaze } = require("./mazes")
+const { isFrightened, isDangerous } = require("./ghosts")
+
+// thinkEvery: ticks between decisions, mistakes: chance of a random turn,
+// fleeRange: how close a ghost gets before the bot runs, hunt: chases blue ghosts
+const DIFFICULTIES = {
+  easy: { thinkEvery: 3, mistakes: 0.3, fleeRange: 3, hunt: false },
+  normal: { thinkEvery: 2, mistakes: 0.1, fleeRange: 5, hunt: true },
+  hard: { thinkEvery: 1, mistakes: 0, fleeRange: 8, hunt: true },
+}
+const DEFAULT_DIFFICULTY = "normal"
+
+function isValidDifficulty(difficulty) {
+  return Object.hasOwn(DIFFICULTIES, difficulty)
+}
+
+function createBot(seat, difficulty = DEFAULT_DIFFICULTY, rng = Math.random) {
+  return {
+    seat,
+    difficulty,
+    name: `Bot (${difficulty})`,
+    rng,
+    ticks: 0,
+  }
+}
+
+function legalDirections(grid, player) {
+  return Object.keys(DIRECTIONS).filter((direction) => {
+    const next = neighbor(grid, player.x, player.y, direction)
+    return isWalkable(grid, next.x, next.y, false)
+  })
+}
+
+// Direction whose next tile is closest to the nearest of the targets
+function towards(grid, player, fromPlayer, options, targets) {
+  const reachable = targets.filter((target) => distanceAt(grid, fromPlayer, target) < Infinity)
+  if (reachable.length === 0) return null
+
+  const goal = reachable.reduce((best, target) =>
+    distanceAt(grid, fromPlayer, target) < distanceAt(grid, fromPlayer, best) ? target : best,
+  )
+  const toGoal = distancesFrom(grid, goal, false)
+  const distanceAfter = (direction) => distanceAt(grid, toGoal, neighbor(grid, player.x, player.y, direction))
+
+  return options.reduce((best, direction) => (distanceAfter(direction) < distanceAfter(best) ? direction : best))
+}
+
+// Direction that keeps the bot furthest from the closest threat
+function awayFrom(grid, player, options, threats) {
+  const fields = threats.map((threat) => distancesFrom(grid, threat, false))
+  const safety = (direction) => {
+    const next = neighbor(grid, player.x, player.y, direction)
+    return Math.min(...fields.map((field) => distanceAt(grid, field, next)))
+  }
+
+  return options.reduce((best, direction) => (safety(direction) > safety(best) ? direction : best))
+}
+
+function decide(state, bot, settings) {
+  const grid = getMaze(state.maze).grid
+  const player = state[`player${bot.seat}`]
+  const options = legalDirections(grid, player)
+  if (options.length === 0) return null
+
+  if (bot.rng() < settings.mistakes) {
+    return options[Math.floor(bot.rng() * options.length)]
+  }
+
+  const fromPlayer = distancesFrom(grid, player, false)
+  const within = (ghost, range) => distanceAt(grid, fromPlayer, ghost) <= range
+
+  const threats = state.ghosts.filter((ghost) => isDangerous(ghost) && within(ghost, settings.fleeRange))
+  if (threats.length > 0 && !player.invulnerable) {
+    return awayFrom(grid, player, options, threats)
+  }
+
+  if (settings.hunt) {
+    const prey = state.ghosts.filter((ghost) => isFrightened(ghost) && within(ghost, settings.fleeRange * 2))
+    const direction = prey.length > 0 && towards(grid, player, fromPlayer, options, prey)
+    if (direction) return direction
+  }
+
+  const food = [...state.powerPellets, ...state.dots, ...(state.fruit ? [state.fruit] : [])]
+  return towards(grid, player, fromPlayer, options, food) || player.direction
+}
+
+// Input for this tick, or null when the bot is not due to think yet
+function botInput(state, bot) {
+  const settings = DIFFICULTIES[bot.difficulty]
+  const player = state[`player${bot.seat}`]
+  bot.ticks++
+
+  if (state.gameOver || player.lives <= 0 || bot.ticks % settings.thinkEvery !== 0) return null
+
+  const direction = decide(state, bot, settings)
+  return direction ? { [direction]: true } : null
+}
+
+module.exports = {
+  DIFFICULTIES,
+  DEFAULT_DIFFICULTY,
+  isValidDifficulty,
+  createBot,
+  botInput,
+}
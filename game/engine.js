@@ -0,0 +1,367 @@
+// Headless game engine: all rules are driven through step() with an injected
+// clock and RNG, so a whole match can be simulated without a server
+const { DOT, POWER_PELLET, isWalkable, neighbor } = require("./grid")
+const { DEFAULT_MAZE, getMaze, nextMazeId } = require("./mazes")
+const {
+  createGhostMode,
+  isFrightened,
+  isDangerous,
+  moveGhosts,
+  frightenGhosts,
+  calmGhosts,
+  sendGhostHome,
+  updateGhostMode,
+} = require("./ghosts")
+const { resolveRules } = require("./rules")
+const { updateFruit } = require("./fruit")
+
+// The nth ghost eaten on one power pellet is worth base * 2^n, up to 1600 by default
+const MAX_GHOST_COMBO = 3
+
+// Seedable PRNG (mulberry32), returns floats in [0, 1). rng.state() can be
+// passed back to createRng to continue the same sequence later.
+function createRng(seed) {
+  let a = seed >>> 0
+  const rng = () => {
+    a = (a + 0x6d2b79f5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+  rng.state = () => a
+  return rng
+}
+
+function randomSeed() {
+  return Math.floor(Math.random() * 4294967296)
+}
+
+const systemClock = { now: () => Date.now() }
+
+// Clock that only moves when advanced by hand, for tests and simulations
+function createManualClock(start = 0) {
+  let time = start
+  return {
+    now: () => time,
+    advance: (ms) => {
+      time += ms
+      return time
+    },
+  }
+}
+
+// How long a queued turn stays valid while the player waits for an opening
+const INPUT_BUFFER_MS = 600
+
+// Ghosts get faster on every level
+function ghostSpeedForLevel(level) {
+  return Math.min(1.5, 1 + (level - 1) * 0.1)
+}
+
+function spawnPlayer(player, spawn) {
+  player.x = spawn.x
+  player.y = spawn.y
+  player.direction = spawn.direction || "right"
+  player.nextDirection = null
+  player.nextDirectionExpires = 0
+}
+
+// Score popups for the frontend; cleared at the start of every step
+function scoreEvent(state, type, points, x, y, player) {
+  state.events.push({ type, points, x, y, player })
+}
+
+// Lay out a maze for the given level, keeping the players' scores and lives
+function loadLevel(state, mazeId, level) {
+  const maze = getMaze(mazeId)
+  if (!maze) {
+    throw new Error(`Unknown maze: ${mazeId}`)
+  }
+
+  state.maze = maze.id
+  state.level = level
+  state.dots = []
+  state.powerPellets = []
+  state.ghosts = maze.ghosts.map((spawn) => ({
+    x: spawn.x,
+    y: spawn.y,
+    direction: spawn.direction || "up",
+    color: spawn.color,
+    state: "in-house",
+    speed: ghostSpeedForLevel(level),
+    target: null,
+  }))
+  state.powerMode = false
+  state.powerModeTime = 0
+  state.ghostMode = createGhostMode()
+  state.fruit = null
+  state.fruitsSpawned = 0
+  state.levelDotsEaten = 0
+
+  spawnPlayer(state.player1, maze.spawns.player1)
+  spawnPlayer(state.player2, maze.spawns.player2)
+
+  for (let y = 0; y < maze.height; y++) {
+    for (let x = 0; x < maze.width; x++) {
+      // Ids are stable per maze so clients can be told which ones were eaten
+      if (maze.grid[y][x] === DOT) {
+        state.dots.push({ id: y * maze.width + x, x, y })
+      } else if (maze.grid[y][x] === POWER_PELLET) {
+        state.powerPellets.push({ id: y * maze.width + x, x, y })
+      }
+    }
+  }
+
+  return state
+}
+
+function createGameState({ maze = DEFAULT_MAZE, rules = resolveRules().rules } = {}) {
+  const state = {
+    rules,
+    player1: { x: 0, y: 0, direction: "right", nextDirection: null, nextDirectionExpires: 0, score: 0, lives: rules.startingLives, invulnerable: false, invulnerableTime: 0, ghostCombo: 0, name: "" },
+    player2: { x: 0, y: 0, direction: "left", nextDirection: null, nextDirectionExpires: 0, score: 0, lives: rules.startingLives, invulnerable: false, invulnerableTime: 0, ghostCombo: 0, name: "" },
+    dots: [],
+    powerPellets: [],
+    ghosts: [],
+    gameOver: false,
+    winner: null,
+    winnerSeat: null,
+    endReason: null,
+    powerMode: false,
+    powerModeTime: 0,
+    events: [],
+  }
+
+  return loadLevel(state, maze, 1)
+}
+
+// Clearing a maze moves on to the next one in the level sequence
+function checkLevelComplete(state) {
+  if (state.dots.length > 0 || state.powerPellets.length > 0) return
+
+  const nextMaze = nextMazeId(state.maze)
+  if (nextMaze) {
+    loadLevel(state, nextMaze, state.level + 1)
+  }
+}
+
+// Inputs are queued as the next direction and taken at the first legal turn
+function updatePlayerDirection(player, input, clock) {
+  let direction = null
+  if (input.up) direction = "up"
+  else if (input.down) direction = "down"
+  else if (input.left) direction = "left"
+  else if (input.right) direction = "right"
+  if (!direction) return
+
+  player.nextDirection = direction
+  player.nextDirectionExpires = clock.now() + INPUT_BUFFER_MS
+}
+
+// Advance the game by one tick and return the new state; the given state is not modified
+function step(state, inputs = {}, clock = systemClock, rng = Math.random) {
+  const next = structuredClone(state)
+  next.events = []
+  if (next.gameOver) return next
+
+  if (inputs.player1) updatePlayerDirection(next.player1, inputs.player1, clock)
+  if (inputs.player2) updatePlayerDirection(next.player2, inputs.player2, clock)
+
+  updateInvulnerability(next, clock)
+  updatePowerMode(next, clock)
+  updateGhostMode(next, clock)
+
+  const maze = getMaze(next.maze)
+  movePlayer(maze, next.player1, clock)
+  movePlayer(maze, next.player2, clock)
+  moveGhosts(next, maze, rng)
+  checkCollisions(next, maze, clock)
+  updateFruit(next, maze, clock)
+  checkLevelComplete(next)
+  checkGameOver(next)
+
+  return next
+}
+
+function updateInvulnerability(state, clock) {
+  const currentTime = clock.now()
+
+  const { invulnerabilityMs } = state.rules
+
+  if (state.player1.invulnerable && currentTime - state.player1.invulnerableTime > invulnerabilityMs) {
+    state.player1.invulnerable = false
+  }
+
+  if (state.player2.invulnerable && currentTime - state.player2.invulnerableTime > invulnerabilityMs) {
+    state.player2.invulnerable = false
+  }
+}
+
+function updatePowerMode(state, clock) {
+  if (state.powerMode) {
+    const currentTime = clock.now()
+    if (currentTime - state.powerModeTime > state.rules.powerModeMs) {
+      state.powerMode = false
+      state.player1.ghostCombo = 0
+      state.player2.ghostCombo = 0
+      calmGhosts(state)
+    }
+  }
+}
+
+function movePlayer(maze, player, clock) {
+  // Take the queued turn as soon as it opens up, dropping it once it expires
+  if (player.nextDirection) {
+    const turn = neighbor(maze.grid, player.x, player.y, player.nextDirection)
+    if (isWalkable(maze.grid, turn.x, turn.y, false)) {
+      player.direction = player.nextDirection
+      player.nextDirection = null
+    } else if (clock.now() >= player.nextDirectionExpires) {
+      player.nextDirection = null
+    }
+  }
+
+  const next = neighbor(maze.grid, player.x, player.y, player.direction)
+
+  // Until then keep going the current way; players stop at walls and cannot enter the ghost house
+  if (isWalkable(maze.grid, next.x, next.y, false)) {
+    player.x = next.x
+    player.y = next.y
+  }
+}
+
+function checkCollisions(state, maze, clock) {
+  const { points } = state.rules
+
+  // Check dot collection
+  state.dots = state.dots.filter((dot) => {
+    if (
+      (dot.x === state.player1.x && dot.y === state.player1.y) ||
+      (dot.x === state.player2.x && dot.y === state.player2.y)
+    ) {
+      if (dot.x === state.player1.x && dot.y === state.player1.y) {
+        state.player1.score += points.dot
+      }
+      if (dot.x === state.player2.x && dot.y === state.player2.y) {
+        state.player2.score += points.dot
+      }
+      state.levelDotsEaten++
+      return false
+    }
+    return true
+  })
+
+  // Check power pellet collection
+  state.powerPellets = state.powerPellets.filter((pellet) => {
+    if (
+      (pellet.x === state.player1.x && pellet.y === state.player1.y) ||
+      (pellet.x === state.player2.x && pellet.y === state.player2.y)
+    ) {
+      if (pellet.x === state.player1.x && pellet.y === state.player1.y) {
+        state.player1.score += points.powerPellet
+      }
+      if (pellet.x === state.player2.x && pellet.y === state.player2.y) {
+        state.player2.score += points.powerPellet
+      }
+
+      state.powerMode = true
+      state.powerModeTime = clock.now()
+      state.player1.ghostCombo = 0
+      state.player2.ghostCombo = 0
+      frightenGhosts(state)
+
+      return false
+    }
+    return true
+  })
+
+  // Check fruit collection; if both players reach it on the same tick, player 1 gets it
+  ;[1, 2].forEach((seat) => {
+    const { fruit } = state
+    const player = state[`player${seat}`]
+    if (fruit && player.x === fruit.x && player.y === fruit.y) {
+      player.score += fruit.points
+      scoreEvent(state, "fruit", fruit.points, fruit.x, fruit.y, seat)
+      state.fruit = null
+    }
+  })
+
+  // Check ghost collisions; eyes and ghosts still in the house pass through players
+  state.ghosts.forEach((ghost) => {
+    ;[1, 2].forEach((seat) => {
+      const player = state[`player${seat}`]
+      if (ghost.x !== player.x || ghost.y !== player.y) return
+
+      if (isFrightened(ghost)) {
+        eatGhost(state, seat, ghost)
+      } else if (isDangerous(ghost) && !player.invulnerable) {
+        player.lives--
+        player.invulnerable = true
+        player.invulnerableTime = clock.now()
+        spawnPlayer(player, maze.spawns[`player${seat}`])
+      }
+    })
+  })
+}
+
+function eatGhost(state, seat, ghost) {
+  const player = state[`player${seat}`]
+  const points = state.rules.points.ghost * 2 ** Math.min(player.ghostCombo, MAX_GHOST_COMBO)
+
+  player.ghostCombo++
+  player.score += points
+  scoreEvent(state, "ghost", points, ghost.x, ghost.y, seat)
+  sendGhostHome(ghost)
+}
+
+function endGame(state, endReason, winnerSeat) {
+  state.gameOver = true
+  state.endReason = endReason
+  state.winnerSeat = winnerSeat
+  state.winner = winnerSeat ? state[`player${winnerSeat}`].name || `Player ${winnerSeat}` : null
+}
+
+// End a match from outside the rules (forfeit, abandonment); returns a new state
+function finishGame(state, endReason, winnerSeat) {
+  const next = structuredClone(state)
+  next.events = []
+  endGame(next, endReason, winnerSeat)
+  return next
+}
+
+// Seat with the higher score, null on a tie
+function leadingSeat(state) {
+  if (state.player1.score > state.player2.score) return 1
+  if (state.player2.score > state.player1.score) return 2
+  return null
+}
+
+function checkGameOver(state) {
+  // All dots collected
+  if (state.dots.length === 0 && state.powerPellets.length === 0) {
+    endGame(state, "all-dots", leadingSeat(state))
+  }
+
+  // Both players dead
+  if (state.player1.lives <= 0 && state.player2.lives <= 0) {
+    endGame(state, "both-dead", leadingSeat(state))
+  }
+
+  // One player dead
+  if (state.player1.lives <= 0 && state.player2.lives > 0) {
+    endGame(state, "one-dead", 2)
+  } else if (state.player2.lives <= 0 && state.player1.lives > 0) {
+    endGame(state, "one-dead", 1)
+  }
+}
+
+module.exports = {
+  createRng,
+  randomSeed,
+  systemClock,
+  createManualClock,
+  createGameState,
+  step,
+  finishGame,
+}
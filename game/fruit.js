@@ -0,0 +1,50 @@
+// Bonus fruit: appears at the maze's fruit tile once enough dots have been
+// eaten on a level, and disappears again if nobody reaches it in time
+const FRUIT_TIMEOUT_MS = 9500
+
+// Fruit by level, as in the arcade; the last entry repeats from then on
+const FRUIT_TABLE = [
+  { type: "cherry", points: 100 },
+  { type: "strawberry", points: 300 },
+  { type: "orange", points: 500 },
+  { type: "orange", points: 500 },
+  { type: "apple", points: 700 },
+  { type: "apple", points: 700 },
+  { type: "melon", points: 1000 },
+  { type: "melon", points: 1000 },
+  { type: "galaxian", points: 2000 },
+  { type: "galaxian", points: 2000 },
+  { type: "bell", points: 3000 },
+  { type: "bell", points: 3000 },
+  { type: "key", points: 5000 },
+]
+
+function fruitForLevel(level) {
+  return FRUIT_TABLE[Math.min(level, FRUIT_TABLE.length) - 1]
+}
+
+// Expire the current fruit, or spawn the next one when a dot threshold is reached
+function updateFruit(state, maze, clock) {
+  if (!maze.fruit) return
+
+  if (state.fruit && clock.now() >= state.fruit.expiresAt) {
+    state.fruit = null
+  }
+
+  const threshold = maze.fruit.dots[state.fruitsSpawned]
+  if (!state.fruit && threshold !== undefined && state.levelDotsEaten >= threshold) {
+    state.fruit = {
+      ...fruitForLevel(state.level),
+      x: maze.fruit.x,
+      y: maze.fruit.y,
+      expiresAt: clock.now() + FRUIT_TIMEOUT_MS,
+    }
+    state.fruitsSpawned++
+  }
+}
+
+module.exports = {
+  FRUIT_TIMEOUT_MS,
+  fruitForLevel,
+  updateFruit,
+}
@@ -0,0 +1,258 @@
+// Ghost AI: wall-aware movement with BFS pathfinding and classic
+// scatter/chase/frightened phases driven by each ghost's colour.
+// Each ghost goes through in-house -> leaving-house -> active, can become
+// frightened, and once eaten returns to the house as eyes before leaving again.
+const { DIRECTIONS, OPPOSITE, isWalkable, neighbor, distancesFrom, distanceAt } = require("./grid")
+
+// Alternating scatter/chase phase lengths (ms); the last chase lasts forever
+const MODE_SCHEDULE = [7000, 20000, 7000, 20000, 5000, 20000, 5000, Infinity]
+
+// Ghosts leave the house once enough dots are eaten on the level or, failing
+// that, after some time; indexed by spawn order, the last entry repeats
+const HOUSE_RELEASE = [
+  { dots: 0, ms: 0 },
+  { dots: 10, ms: 1000 },
+  { dots: 30, ms: 5000 },
+  { dots: 60, ms: 9000 },
+]
+
+// Eyes race back to the house at this many tiles per tick
+const EYES_SPEED = 2
+
+function createGhostMode() {
+  return { mode: "scatter", phase: 0, phaseElapsed: 0, levelElapsed: 0, lastTickAt: null }
+}
+
+function personality(ghost) {
+  return ghost.originalColor || ghost.color
+}
+
+function isFrightened(ghost) {
+  return ghost.state === "frightened"
+}
+
+// Only ghosts out in the maze (or stepping out of the house) catch players
+function isDangerous(ghost) {
+  return ghost.state === "active" || ghost.state === "leaving-house"
+}
+
+// Targets can fall on walls or outside the maze; use the closest open tile instead
+function nearestOpenTile(grid, target, allowHouse) {
+  let best = null
+  let bestDistance = Infinity
+
+  for (let y = 0; y < grid.length; y++) {
+    for (let x = 0; x < grid[y].length; x++) {
+      if (!isWalkable(grid, x, y, allowHouse)) continue
+
+      const distance = Math.abs(x - target.x) + Math.abs(y - target.y)
+      if (distance < bestDistance) {
+        best = { x, y }
+        bestDistance = distance
+      }
+    }
+  }
+
+  return best
+}
+
+function nearestPlayer(state, ghost) {
+  const players = [state.player1, state.player2]
+  const alive = players.filter((player) => player.lives > 0)
+  const candidates = alive.length > 0 ? alive : players
+
+  return candidates.reduce((closest, player) => {
+    const distance = Math.abs(ghost.x - player.x) + Math.abs(ghost.y - player.y)
+    const closestDistance = Math.abs(ghost.x - closest.x) + Math.abs(ghost.y - closest.y)
+    return distance < closestDistance ? player : closest
+  })
+}
+
+function tileAhead(player, tiles) {
+  const { dx, dy } = DIRECTIONS[player.direction] || { dx: 0, dy: 0 }
+  return { x: player.x + dx * tiles, y: player.y + dy * tiles }
+}
+
+// Chase targets: red hunts the player, pink ambushes ahead of them, cyan flanks
+// using red's position, and orange gives up and scatters when it gets close
+function chaseTarget(state, maze, ghost) {
+  const player = nearestPlayer(state, ghost)
+
+  switch (personality(ghost)) {
+    case "pink":
+      return tileAhead(player, 4)
+    case "cyan": {
+      const red = state.ghosts.find((other) => personality(other) === "red") || ghost
+      const pivot = tileAhead(player, 2)
+      return { x: pivot.x * 2 - red.x, y: pivot.y * 2 - red.y }
+    }
+    case "orange": {
+      const distance = Math.abs(ghost.x - player.x) + Math.abs(ghost.y - player.y)
+      return distance > 8 ? { x: player.x, y: player.y } : maze.scatterTargets.orange
+    }
+    default:
+      return { x: player.x, y: player.y }
+  }
+}
+
+function chooseDirection(grid, ghost, target, allowHouse, rng) {
+  if (ghost.reverse) {
+    ghost.reverse = false
+    const reversed = OPPOSITE[ghost.direction]
+    const next = neighbor(grid, ghost.x, ghost.y, reversed)
+    if (isWalkable(grid, next.x, next.y, allowHouse)) return reversed
+  }
+
+  const legal = Object.keys(DIRECTIONS).filter((direction) => {
+    const next = neighbor(grid, ghost.x, ghost.y, direction)
+    return isWalkable(grid, next.x, next.y, allowHouse)
+  })
+
+  // Ghosts may not turn back, unless it is a dead end or they are still in the house
+  const forward = allowHouse ? legal : legal.filter((direction) => direction !== OPPOSITE[ghost.direction])
+  const options = forward.length > 0 ? forward : legal
+
+  if (options.length === 0) return null
+
+  if (isFrightened(ghost)) {
+    return options[Math.floor(rng() * options.length)]
+  }
+
+  const goal = nearestOpenTile(grid, target, allowHouse)
+  const distances = distancesFrom(grid, goal, allowHouse)
+  const distanceAfter = (direction) => distanceAt(grid, distances, neighbor(grid, ghost.x, ghost.y, direction))
+
+  return options.reduce((best, direction) => (distanceAfter(direction) < distanceAfter(best) ? direction : best))
+}
+
+function ghostTarget(state, maze, ghost, home) {
+  if (ghost.state === "eaten") return home
+  if (ghost.state === "leaving-house") return maze.houseExit
+  if (state.ghostMode.mode === "scatter") return maze.scatterTargets[personality(ghost)] || maze.houseExit
+  return chaseTarget(state, maze, ghost)
+}
+
+function stepGhost(state, maze, ghost, home, rng) {
+  // Leaving ghosts and eyes may pass through the house; everyone else stays out
+  const allowHouse = ghost.state === "leaving-house" || ghost.state === "eaten"
+  ghost.target = isFrightened(ghost) ? null : ghostTarget(state, maze, ghost, home)
+
+  const direction = chooseDirection(maze.grid, ghost, ghost.target, allowHouse, rng)
+  if (!direction) return
+
+  const next = neighbor(maze.grid, ghost.x, ghost.y, direction)
+  ghost.direction = direction
+  ghost.x = next.x
+  ghost.y = next.y
+
+  if (ghost.state === "leaving-house" && ghost.x === maze.houseExit.x && ghost.y === maze.houseExit.y) {
+    ghost.state = "active"
+  } else if (ghost.state === "eaten" && ghost.x === home.x && ghost.y === home.y) {
+    ghost.state = "leaving-house"
+  }
+}
+
+function ghostSpeed(ghost) {
+  if (ghost.state === "eaten") return EYES_SPEED
+  if (isFrightened(ghost)) return ghost.speed / 2
+  return ghost.speed
+}
+
+function moveGhosts(state, maze, rng) {
+  state.ghosts.forEach((ghost, index) => {
+    if (ghost.state === "in-house") return
+
+    // Speed is in tiles per tick; frightened ghosts move at half speed
+    ghost.progress = (ghost.progress || 0) + ghostSpeed(ghost)
+
+    while (ghost.progress >= 1) {
+      ghost.progress -= 1
+      stepGhost(state, maze, ghost, maze.ghosts[index], rng)
+    }
+  })
+}
+
+function releaseGhosts(state) {
+  const { levelElapsed } = state.ghostMode
+
+  state.ghosts.forEach((ghost, index) => {
+    const release = HOUSE_RELEASE[Math.min(index, HOUSE_RELEASE.length - 1)]
+    if (ghost.state === "in-house" && (state.levelDotsEaten >= release.dots || levelElapsed >= release.ms)) {
+      ghost.state = "leaving-house"
+    }
+  })
+}
+
+// Ghosts out in the maze reverse direction whenever their mode changes
+function reverseGhosts(state) {
+  state.ghosts.forEach((ghost) => {
+    if (ghost.state === "active") ghost.reverse = true
+  })
+}
+
+// Ghosts in the house or already eaten are not affected by power pellets
+function frightenGhosts(state) {
+  state.ghosts.forEach((ghost) => {
+    if (ghost.state === "active") {
+      ghost.state = "frightened"
+      ghost.originalColor = ghost.color
+      ghost.color = "blue"
+      ghost.reverse = true
+    }
+  })
+}
+
+function restoreColor(ghost) {
+  if (ghost.originalColor) {
+    ghost.color = ghost.originalColor
+    delete ghost.originalColor
+  }
+}
+
+// Power mode is over: frightened ghosts go back to hunting
+function calmGhosts(state) {
+  state.ghosts.forEach((ghost) => {
+    if (isFrightened(ghost)) {
+      ghost.state = "active"
+      restoreColor(ghost)
+    }
+  })
+}
+
+// An eaten ghost turns into eyes heading back to its spawn in the house
+function sendGhostHome(ghost) {
+  ghost.state = "eaten"
+  ghost.reverse = false
+  restoreColor(ghost)
+}
+
+// Advance the scatter/chase timer; it is paused while ghosts are frightened
+function updateGhostMode(state, clock) {
+  const now = clock.now()
+  const ghostMode = state.ghostMode
+  const elapsed = ghostMode.lastTickAt === null ? 0 : now - ghostMode.lastTickAt
+  ghostMode.lastTickAt = now
+  ghostMode.levelElapsed += elapsed
+  releaseGhosts(state)
+
+  if (state.powerMode) return
+
+  ghostMode.phaseElapsed += elapsed
+  while (ghostMode.phaseElapsed >= MODE_SCHEDULE[ghostMode.phase]) {
+    ghostMode.phaseElapsed -= MODE_SCHEDULE[ghostMode.phase]
+    ghostMode.phase++
+    ghostMode.mode = ghostMode.phase % 2 === 0 ? "scatter" : "chase"
+    reverseGhosts(state)
+  }
+}
+
+module.exports = {
+  createGhostMode,
+  isFrightened,
+  isDangerous,
+  moveGhosts,
+  frightenGhosts,
+  calmGhosts,
+  sendGhostHome,
+  updateGhostMode,
+}
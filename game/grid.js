@@ -0,0 +1,74 @@
+// Maze grid helpers shared by the engine, the ghost AI and maze validation
+const DOT = 0
+const WALL = 1
+const HOUSE = 2
+const POWER_PELLET = 3
+const FLOOR = 4
+
+// Tie-break order used by the arcade game when two moves are equally good
+const DIRECTIONS = {
+  up: { dx: 0, dy: -1 },
+  left: { dx: -1, dy: 0 },
+  down: { dx: 0, dy: 1 },
+  right: { dx: 1, dy: 0 },
+}
+
+const OPPOSITE = { up: "down", down: "up", left: "right", right: "left" }
+
+function isWalkable(grid, x, y, allowHouse) {
+  if (y < 0 || y >= grid.length || x < 0 || x >= grid[0].length) return false
+  const cell = grid[y][x]
+  return cell !== WALL && (allowHouse || cell !== HOUSE)
+}
+
+// Neighbouring tile in a direction; leaving the grid wraps to the opposite
+// border, which is only open at tunnel ends (enforced by maze validation)
+function neighbor(grid, x, y, direction) {
+  const width = grid[0].length
+  const height = grid.length
+  const { dx, dy } = DIRECTIONS[direction]
+  return { x: (x + dx + width) % width, y: (y + dy + height) % height }
+}
+
+// Breadth-first distances (in tiles) from a target to every reachable tile
+function distancesFrom(grid, target, allowHouse) {
+  const width = grid[0].length
+  const distances = new Array(width * grid.length).fill(Infinity)
+  const queue = [target]
+  distances[target.y * width + target.x] = 0
+
+  for (let i = 0; i < queue.length; i++) {
+    const tile = queue[i]
+    const distance = distances[tile.y * width + tile.x]
+
+    for (const direction of Object.keys(DIRECTIONS)) {
+      const next = neighbor(grid, tile.x, tile.y, direction)
+      const index = next.y * width + next.x
+
+      if (isWalkable(grid, next.x, next.y, allowHouse) && distances[index] === Infinity) {
+        distances[index] = distance + 1
+        queue.push(next)
+      }
+    }
+  }
+
+  return distances
+}
+
+function distanceAt(grid, distances, tile) {
+  return distances[tile.y * grid[0].length + tile.x]
+}
+
+module.exports = {
+  DOT,
+  WALL,
+  HOUSE,
+  POWER_PELLET,
+  FLOOR,
+  DIRECTIONS,
+  OPPOSITE,
+  isWalkable,
+  neighbor,
+  distancesFrom,
+  distanceAt,
+}
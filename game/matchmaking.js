@@ -0,0 +1,75 @@
+// Matchmaking queue: waiting players are paired with the closest rating in
+// reach, and that reach widens the longer they have been waiting
+const BASE_RATING_WINDOW = 100
+const WINDOW_GROWTH_PER_SECOND = 20
+const MAX_RATING_WINDOW = 1000
+
+function createQueue() {
+  return new Map()
+}
+
+function enqueue(queue, { socketId, name, rating }, now = Date.now()) {
+  const entry = { socketId, name, rating, joinedAt: now }
+  queue.set(socketId, entry)
+  return entry
+}
+
+function dequeue(queue, socketId) {
+  return queue.delete(socketId)
+}
+
+function isQueued(queue, socketId) {
+  return queue.has(socketId)
+}
+
+function ratingWindow(entry, now = Date.now()) {
+  const waited = Math.max(0, now - entry.joinedAt) / 1000
+  return Math.min(MAX_RATING_WINDOW, BASE_RATING_WINDOW + waited * WINDOW_GROWTH_PER_SECOND)
+}
+
+// Take every pair that can be matched now, longest-waiting players first;
+// two players match when either one's window reaches the other
+function takePairs(queue, now = Date.now()) {
+  const waiting = Array.from(queue.values()).sort((a, b) => a.joinedAt - b.joinedAt)
+  const paired = new Set()
+  const pairs = []
+
+  waiting.forEach((entry) => {
+    if (paired.has(entry.socketId)) return
+
+    const opponent = waiting
+      .filter((other) => other !== entry && !paired.has(other.socketId))
+      .filter((other) => {
+        const gap = Math.abs(entry.rating - other.rating)
+        return gap <= Math.max(ratingWindow(entry, now), ratingWindow(other, now))
+      })
+      .reduce((best, other) => {
+        if (!best) return other
+        return Math.abs(entry.rating - other.rating) < Math.abs(entry.rating - best.rating) ? other : best
+      }, null)
+
+    if (opponent) {
+      paired.add(entry.socketId)
+      paired.add(opponent.socketId)
+      pairs.push([entry, opponent])
+    }
+  })
+
+  pairs.flat().forEach((entry) => queue.delete(entry.socketId))
+  return pairs
+}
+
+function queuePosition(queue, socketId) {
+  const waiting = Array.from(queue.values()).sort((a, b) => a.joinedAt - b.joinedAt)
+  return waiting.findIndex((entry) => entry.socketId === socketId) + 1
+}
+
+module.exports = {
+  createQueue,
+  enqueue,
+  dequeue,
+  isQueued,
+  ratingWindow,
+  takePairs,
+  queuePosition,
+}
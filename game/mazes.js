@@ -0,0 +1,189 @@
+const fs = require("fs")
+const path = require("path")
+const { DOT, WALL, HOUSE, POWER_PELLET, FLOOR, isWalkable, distancesFrom, distanceAt } = require("./grid")
+
+// Maze registry: maze definitions live as JSON files in ./mazes and are
+// parsed and validated once, when this module is loaded
+const MAZES_DIR = path.join(__dirname, "mazes")
+const DEFAULT_MAZE = "classic"
+
+const CELLS = {
+  "#": WALL,
+  ".": DOT,
+  o: POWER_PELLET,
+  "-": HOUSE,
+  " ": FLOOR,
+}
+
+const mazes = new Map()
+
+function parseLayout(definition) {
+  return definition.layout.map((row, y) =>
+    row.split("").map((char, x) => {
+      if (!(char in CELLS)) {
+        throw new Error(`Unknown cell "${char}" at ${x},${y}`)
+      }
+      return CELLS[char]
+    }),
+  )
+}
+
+function isTunnelEnd(maze, x, y) {
+  return maze.tunnels.some(({ a, b }) => (a.x === x && a.y === y) || (b.x === x && b.y === y))
+}
+
+function checkTile(maze, tile, label, allowHouse) {
+  if (!tile || !Number.isInteger(tile.x) || !Number.isInteger(tile.y)) {
+    throw new Error(`${label} is missing or not a tile`)
+  }
+  if (!isWalkable(maze.grid, tile.x, tile.y, allowHouse)) {
+    throw new Error(`${label} at ${tile.x},${tile.y} is not walkable`)
+  }
+}
+
+function validateMaze(maze) {
+  const { grid, width, height } = maze
+
+  // Dimensions
+  if (grid.length !== height || grid.some((row) => row.length !== width)) {
+    throw new Error(`layout does not match its ${width}x${height} dimensions`)
+  }
+
+  // Tunnels: pairs of openings facing each other on opposite borders
+  maze.tunnels.forEach(({ a, b }, index) => {
+    const horizontal = a.y === b.y && Math.min(a.x, b.x) === 0 && Math.max(a.x, b.x) === width - 1
+    const vertical = a.x === b.x && Math.min(a.y, b.y) === 0 && Math.max(a.y, b.y) === height - 1
+
+    if (!horizontal && !vertical) {
+      throw new Error(`tunnel ${index} ends do not face each other on opposite borders`)
+    }
+    checkTile(maze, a, `tunnel ${index} end`, false)
+    checkTile(maze, b, `tunnel ${index} end`, false)
+  })
+
+  // Closed borders, except for tunnel ends
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const onBorder = x === 0 || y === 0 || x === width - 1 || y === height - 1
+      if (onBorder && grid[y][x] !== WALL && !isTunnelEnd(maze, x, y)) {
+        throw new Error(`border is open at ${x},${y}`)
+      }
+    }
+  }
+
+  // Spawns
+  checkTile(maze, maze.spawns.player1, "player1 spawn", false)
+  checkTile(maze, maze.spawns.player2, "player2 spawn", false)
+  checkTile(maze, maze.houseExit, "ghost house exit", false)
+
+  // Fruit tile and the dot counts that bring out each fruit
+  if (maze.fruit) {
+    checkTile(maze, maze.fruit, "fruit spawn", false)
+    const { dots } = maze.fruit
+    if (!Array.isArray(dots) || dots.some((count, index) => !Number.isInteger(count) || count <= (dots[index - 1] ?? 0))) {
+      throw new Error("fruit dots must be increasing positive counts")
+    }
+  }
+
+  if (maze.ghosts.length === 0) {
+    throw new Error("no ghost spawns")
+  }
+  maze.ghosts.forEach((ghost, index) => checkTile(maze, ghost, `ghost ${index} spawn`, true))
+
+  // Every dot and power pellet must be reachable from both player spawns
+  const fromPlayer1 = distancesFrom(grid, maze.spawns.player1, false)
+  const fromPlayer2 = distancesFrom(grid, maze.spawns.player2, false)
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (grid[y][x] !== DOT && grid[y][x] !== POWER_PELLET) continue
+
+      const tile = { x, y }
+      if (distanceAt(grid, fromPlayer1, tile) === Infinity || distanceAt(grid, fromPlayer2, tile) === Infinity) {
+        throw new Error(`dot at ${x},${y} is unreachable from the player spawns`)
+      }
+    }
+  }
+
+  // Ghosts must be able to leave the house
+  const fromExit = distancesFrom(grid, maze.houseExit, true)
+  maze.ghosts.forEach((ghost, index) => {
+    if (distanceAt(grid, fromExit, ghost) === Infinity) {
+      throw new Error(`ghost ${index} cannot reach the house exit`)
+    }
+  })
+}
+
+function loadMaze(definition) {
+  const maze = {
+    id: definition.id,
+    name: definition.name || definition.id,
+    order: definition.order || 0,
+    width: definition.width,
+    height: definition.height,
+    grid: parseLayout(definition),
+    tunnels: definition.tunnels || [],
+    spawns: definition.spawns || {},
+    ghosts: definition.ghosts || [],
+    houseExit: definition.houseExit,
+    fruit: definition.fruit || null,
+    scatterTargets: definition.scatterTargets || {
+      red: { x: definition.width - 1, y: 0 },
+      pink: { x: 0, y: 0 },
+      cyan: { x: definition.width - 1, y: definition.height - 1 },
+      orange: { x: 0, y: definition.height - 1 },
+    },
+  }
+
+  validateMaze(maze)
+  return maze
+}
+
+function loadMazes() {
+  fs.readdirSync(MAZES_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .forEach((file) => {
+      const definition = JSON.parse(fs.readFileSync(path.join(MAZES_DIR, file), "utf8"))
+
+      try {
+        const maze = loadMaze(definition)
+        mazes.set(maze.id, maze)
+      } catch (error) {
+        throw new Error(`Invalid maze ${file}: ${error.message}`)
+      }
+    })
+}
+
+function getMaze(id) {
+  return mazes.get(id) || null
+}
+
+// Level sequence follows each maze's "order"
+function levelSequence() {
+  return Array.from(mazes.values())
+    .sort((a, b) => a.order - b.order)
+    .map((maze) => maze.id)
+}
+
+function nextMazeId(id) {
+  const sequence = levelSequence()
+  const index = sequence.indexOf(id)
+  return index >= 0 && index < sequence.length - 1 ? sequence[index + 1] : null
+}
+
+function listMazes() {
+  return levelSequence().map((id) => {
+    const maze = mazes.get(id)
+    return { id: maze.id, name: maze.name, width: maze.width, height: maze.height }
+  })
+}
+
+loadMazes()
+
+module.exports = {
+  DEFAULT_MAZE,
+  loadMaze,
+  getMaze,
+  nextMazeId,
+  listMazes,
+}
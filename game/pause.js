@@ -0,0 +1,81 @@
+const { SEATS } = require("./seats")
+
+// Match pauses: the loop stops until every seated player agrees to resume,
+// and a match left paused for too long is ended as abandoned
+const RESUME_COUNTDOWN_MS = 3000
+const MATCH_ABANDON_TIMEOUT_MS = Number.parseInt(process.env.MATCH_ABANDON_TIMEOUT_MS) || 120000
+
+function startPause(room, { reason, seat = null }, onAbandon) {
+  room.pause = {
+    reason,
+    seat,
+    pausedAt: new Date(),
+    votes: [],
+    countdownTimer: null,
+    abandonTimer: setTimeout(onAbandon, MATCH_ABANDON_TIMEOUT_MS),
+  }
+  return room.pause
+}
+
+function cancelCountdown(room) {
+  if (!room.pause || !room.pause.countdownTimer) return false
+
+  clearTimeout(room.pause.countdownTimer)
+  room.pause.countdownTimer = null
+  room.pause.votes = []
+  return true
+}
+
+function clearPause(room) {
+  if (!room.pause) return
+
+  cancelCountdown(room)
+  clearTimeout(room.pause.abandonTimer)
+  room.pause = null
+}
+
+// Record a seat's vote to resume; ready once every seated human has voted
+function voteResume(room, seat) {
+  const occupied = SEATS.filter((other) => room.seats[other] !== null && !room.seats[other].bot)
+  const away = occupied.find((other) => !room.seats[other].socketId)
+  if (away) {
+    return { error: `Waiting for player ${away} to reconnect` }
+  }
+
+  if (!room.pause.votes.includes(seat)) {
+    room.pause.votes.push(seat)
+  }
+
+  const waitingFor = occupied.filter((other) => !room.pause.votes.includes(other))
+  return { ready: waitingFor.length === 0, waitingFor }
+}
+
+// Seat holding up a paused match: the one that paused, unless it has since voted
+// to resume, otherwise the only seated human still withholding a vote
+function stallingSeat(room) {
+  const { seat, votes } = room.pause
+  const humans = SEATS.filter((other) => room.seats[other] !== null && !room.seats[other].bot)
+
+  if (seat && humans.includes(seat) && !votes.includes(seat)) return seat
+
+  const waitingFor = humans.filter((other) => !votes.includes(other))
+  return waitingFor.length === 1 ? waitingFor[0] : null
+}
+
+function describePause(room) {
+  if (!room.pause) return null
+
+  const { reason, seat, pausedAt, votes } = room.pause
+  return { reason, seat, pausedAt, votes, abandonAfterMs: MATCH_ABANDON_TIMEOUT_MS }
+}
+
+module.exports = {
+  RESUME_COUNTDOWN_MS,
+  MATCH_ABANDON_TIMEOUT_MS,
+  startPause,
+  cancelCountdown,
+  clearPause,
+  voteResume,
+  stallingSeat,
+  describePause,
+}
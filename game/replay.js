@@ -0,0 +1,154 @@
+const { createGameState, createManualClock, createRng, step, finishGame } = require("./engine")
+const { resolveRules } = require("./rules")
+
+// Replays are a compact input log: the seed, the match setup and only the
+// ticks where someone pressed a direction. Re-running them through the engine
+// with the same tick clock reproduces the match exactly.
+const REPLAY_VERSION = 1
+const DIRECTION_NAMES = ["up", "down", "left", "right"]
+
+// Playbacks keep a snapshot every this many ticks, so seeking only
+// re-simulates from the nearest one instead of from the start
+const KEYFRAME_INTERVAL = 200
+
+function createRecorder({ seed, maze, rules, player1Name, player2Name }) {
+  return {
+    version: REPLAY_VERSION,
+    seed,
+    maze,
+    tickMs: rules.tickMs,
+    rules,
+    players: [player1Name || "", player2Name || ""],
+    ticks: 0,
+    // Entries are [tick, seat, direction]
+    inputs: [],
+    // Set when the match was ended outside the engine, e.g. by a forfeit
+    end: null,
+  }
+}
+
+// Same priority as the engine when several directions are pressed at once
+function directionOf(input) {
+  return DIRECTION_NAMES.find((direction) => input[direction]) || null
+}
+
+function recordTick(recorder, inputs) {
+  recorder.ticks++
+
+  ;[1, 2].forEach((seat) => {
+    const input = inputs[`player${seat}`]
+    const direction = input && directionOf(input)
+    if (direction) recorder.inputs.push([recorder.ticks, seat, direction])
+  })
+}
+
+function recordEnd(recorder, endReason, winnerSeat) {
+  recorder.end = { tick: recorder.ticks, endReason, winnerSeat }
+}
+
+function applyEnd(playback) {
+  const { end } = playback.replay
+  if (end && playback.tick === end.tick) {
+    playback.state = finishGame(playback.state, end.endReason, end.winnerSeat)
+  }
+}
+
+function createPlayback(replay) {
+  // Replays recorded before per-match rules used the defaults
+  const state = createGameState({ maze: replay.maze, rules: replay.rules || resolveRules().rules })
+  state.player1.name = replay.players[0]
+  state.player2.name = replay.players[1]
+
+  const playback = {
+    replay,
+    tick: 0,
+    state,
+    clock: createManualClock(0),
+    rng: createRng(replay.seed),
+    nextInput: 0,
+    keyframes: [],
+  }
+
+  applyEnd(playback)
+  saveKeyframe(playback)
+  return playback
+}
+
+// States are never modified after a step, so keyframes can share them
+function saveKeyframe(playback) {
+  const last = playback.keyframes[playback.keyframes.length - 1]
+  if (last && last.tick >= playback.tick) return
+
+  playback.keyframes.push({
+    tick: playback.tick,
+    state: playback.state,
+    time: playback.clock.now(),
+    rng: playback.rng.state(),
+    nextInput: playback.nextInput,
+  })
+}
+
+function restoreKeyframe(playback, keyframe) {
+  playback.tick = keyframe.tick
+  playback.state = keyframe.state
+  playback.clock = createManualClock(keyframe.time)
+  playback.rng = createRng(keyframe.rng)
+  playback.nextInput = keyframe.nextInput
+}
+
+// Advance a playback by one recorded tick
+function stepPlayback(playback) {
+  const { replay } = playback
+  if (playback.tick >= replay.ticks) return playback.state
+
+  playback.tick++
+  const inputs = {}
+
+  while (playback.nextInput < replay.inputs.length && replay.inputs[playback.nextInput][0] === playback.tick) {
+    const [, seat, direction] = replay.inputs[playback.nextInput]
+    inputs[`player${seat}`] = { [direction]: true }
+    playback.nextInput++
+  }
+
+  playback.clock.advance(replay.tickMs)
+  playback.state = step(playback.state, inputs, playback.clock, playback.rng)
+  applyEnd(playback)
+  if (playback.tick % KEYFRAME_INTERVAL === 0) saveKeyframe(playback)
+  return playback.state
+}
+
+// Move a playback to a tick, stepping on from the nearest keyframe (or from where
+// it already is, when that is closer). At most maxSteps ticks are simulated per
+// call; returns true once the target is reached, so long seeks can be spread out.
+function seekPlayback(playback, tick, maxSteps = Infinity) {
+  const target = Math.max(0, Math.min(playback.replay.ticks, tick))
+  const keyframe = playback.keyframes.filter((frame) => frame.tick <= target).pop()
+
+  if (playback.tick > target || playback.tick < keyframe.tick) {
+    restoreKeyframe(playback, keyframe)
+  }
+
+  for (let steps = 0; playback.tick < target && steps < maxSteps; steps++) {
+    stepPlayback(playback)
+  }
+
+  return playback.tick === target
+}
+
+// Playback of a replay positioned at a tick
+function playbackAt(replay, tick) {
+  const playback = createPlayback(replay)
+  seekPlayback(playback, tick)
+  return playback
+}
+
+module.exports = {
+  REPLAY_VERSION,
+  createRecorder,
+  recordTick,
+  recordEnd,
+  createPlayback,
+  stepPlayback,
+  seekPlayback,
+  playbackAt,
+}
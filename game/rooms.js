@@ -0,0 +1,90 @@
+const { SEATS, createSeats, releaseSeat, countSeated } = require("./seats")
+const { createSync } = require("./sync")
+const { createSpectatorFeed } = require("./spectators")
+const { clearPause } = require("./pause")
+
+// Room registry: each room holds its own game state and game loop
+const DEFAULT_ROOM = "main"
+const ROOM_NAME_PATTERN = /^[\w-]{1,32}$/
+
+const rooms = new Map()
+
+function isValidRoomName(name) {
+  return typeof name === "string" && ROOM_NAME_PATTERN.test(name.trim())
+}
+
+function createRoom(name, state, { spectatorDelay } = {}) {
+  const room = {
+    name,
+    state,
+    status: "waiting",
+    loop: null,
+    clients: new Set(),
+    seats: createSeats(),
+    inputs: {},
+    seed: null,
+    rng: null,
+    clock: null,
+    recorder: null,
+    startedAt: null,
+    pause: null,
+    sync: createSync(),
+    spectators: new Set(),
+    spectatorFeed: createSpectatorFeed(state, spectatorDelay),
+    spectatorTimer: null,
+    createdAt: new Date(),
+  }
+
+  rooms.set(name, room)
+  return room
+}
+
+function getRoom(name) {
+  return rooms.get(name) || null
+}
+
+function removeRoom(name) {
+  const room = rooms.get(name)
+  if (!room) return false
+
+  if (room.loop) {
+    clearInterval(room.loop)
+    room.loop = null
+  }
+
+  if (room.spectatorTimer) {
+    clearInterval(room.spectatorTimer)
+    room.spectatorTimer = null
+  }
+
+  clearPause(room)
+  SEATS.forEach((seat) => releaseSeat(room, seat))
+  return rooms.delete(name)
+}
+
+// Inputs are applied by the engine on the next tick; the latest press wins
+function queueInput(room, player, input) {
+  if (!input || !(input.up || input.down || input.left || input.right)) return
+  room.inputs[player] = input
+}
+
+function listRooms() {
+  return Array.from(rooms.values()).map((room) => ({
+    name: room.name,
+    players: countSeated(room),
+    clients: room.clients.size,
+    spectators: room.spectators.size,
+    status: room.status,
+    createdAt: room.createdAt,
+  }))
+}
+
+module.exports = {
+  DEFAULT_ROOM,
+  isValidRoomName,
+  createRoom,
+  getRoom,
+  removeRoom,
+  queueInput,
+  listRooms,
+}
@@ -0,0 +1,95 @@
+// Per-match rules, chosen with start-game as a preset name or a preset plus
+// overrides. They live on the game state so the engine and replays use them.
+const DEFAULT_PRESET = "classic"
+
+const DEFAULT_RULES = {
+  tickMs: 150,
+  startingLives: 5,
+  invulnerabilityMs: 3000,
+  powerModeMs: 10000,
+  points: { dot: 10, powerPellet: 50, ghost: 200 },
+}
+
+const PRESETS = {
+  classic: {},
+  "sudden-death": { startingLives: 1, invulnerabilityMs: 0 },
+  "long-power": { powerModeMs: 20000 },
+}
+
+// Allowed range for every rule, as [min, max]
+const LIMITS = {
+  tickMs: [50, 1000],
+  startingLives: [1, 10],
+  invulnerabilityMs: [0, 10000],
+  powerModeMs: [0, 60000],
+}
+const POINT_LIMITS = [0, 10000]
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value)
+}
+
+function checkInteger(name, value, [min, max]) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    return `${name} must be a whole number between ${min} and ${max}`
+  }
+  return null
+}
+
+function mergeRules(base, overrides) {
+  return { ...base, ...overrides, points: { ...base.points, ...overrides.points } }
+}
+
+// Accepts undefined, a preset name, or { preset, ...overrides }; returns { rules } or { error }
+function resolveRules(input) {
+  const options = typeof input === "string" ? { preset: input } : input === undefined ? {} : input
+  if (!isPlainObject(options)) {
+    return { error: "Rules must be a preset name or an object" }
+  }
+
+  const { preset = DEFAULT_PRESET, ...overrides } = options
+  if (!Object.hasOwn(PRESETS, preset)) {
+    return { error: `Unknown rules preset: ${preset}` }
+  }
+
+  for (const key of Object.keys(overrides)) {
+    if (key !== "points" && !Object.hasOwn(LIMITS, key)) {
+      return { error: `Unknown rule: ${key}` }
+    }
+  }
+
+  if (overrides.points !== undefined) {
+    if (!isPlainObject(overrides.points)) {
+      return { error: "points must be an object" }
+    }
+    for (const key of Object.keys(overrides.points)) {
+      if (!Object.hasOwn(DEFAULT_RULES.points, key)) {
+        return { error: `Unknown point value: ${key}` }
+      }
+    }
+  }
+
+  const rules = mergeRules(mergeRules(DEFAULT_RULES, PRESETS[preset]), overrides)
+
+  for (const [key, limits] of Object.entries(LIMITS)) {
+    const error = checkInteger(key, rules[key], limits)
+    if (error) return { error }
+  }
+  for (const [key, value] of Object.entries(rules.points)) {
+    const error = checkInteger(`points.${key}`, value, POINT_LIMITS)
+    if (error) return { error }
+  }
+
+  return { rules: { preset, ...rules } }
+}
+
+function listPresets() {
+  return Object.keys(PRESETS).map((name) => ({ name, rules: resolveRules(name).rules }))
+}
+
+module.exports = {
+  DEFAULT_PRESET,
+  DEFAULT_RULES,
+  resolveRules,
+  listPresets,
+}
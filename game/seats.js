@@ -0,0 +1,129 @@
+const crypto = require("crypto")
+
+// Player seats: a socket must hold seat 1 or 2 to steer that Pac-Man
+const SEATS = [1, 2]
+const SEAT_GRACE_PERIOD_MS = Number.parseInt(process.env.SEAT_GRACE_PERIOD_MS) || 30000
+
+function createSeats() {
+  return { 1: null, 2: null }
+}
+
+function isValidSeat(seat) {
+  return SEATS.includes(seat)
+}
+
+function findSeat(room, socketId) {
+  return SEATS.find((seat) => room.seats[seat] && room.seats[seat].socketId === socketId) || null
+}
+
+function holdsSeat(room, socketId, seat) {
+  return isValidSeat(seat) && room.seats[seat] !== null && room.seats[seat].socketId === socketId
+}
+
+// Claim a free seat, or take back a reserved one with its token
+function claimSeat(room, seat, socketId, token) {
+  if (!isValidSeat(seat)) {
+    return { error: "Invalid seat" }
+  }
+
+  const current = room.seats[seat]
+
+  if (current && current.bot) {
+    return { error: "Seat is taken by a bot" }
+  }
+
+  if (current && current.socketId === socketId) {
+    return { seat, token: current.token }
+  }
+
+  if (current && current.token !== token) {
+    return { error: "Seat already taken" }
+  }
+
+  const previous = findSeat(room, socketId)
+  if (previous) {
+    releaseSeat(room, previous)
+  }
+
+  if (current && current.releaseTimer) {
+    clearTimeout(current.releaseTimer)
+  }
+
+  room.seats[seat] = {
+    socketId,
+    token: current ? current.token : crypto.randomBytes(16).toString("hex"),
+    releaseTimer: null,
+  }
+
+  return { seat, token: room.seats[seat].token }
+}
+
+function releaseSeat(room, seat) {
+  const current = room.seats[seat]
+  if (!current) return
+
+  if (current.releaseTimer) clearTimeout(current.releaseTimer)
+  room.seats[seat] = null
+}
+
+// Keep a disconnected player's seat for a grace period so they can reconnect
+function reserveSeat(room, seat, onExpire) {
+  const current = room.seats[seat]
+  if (!current) return
+
+  current.socketId = null
+  current.releaseTimer = setTimeout(() => {
+    room.seats[seat] = null
+    if (onExpire) onExpire(seat)
+  }, SEAT_GRACE_PERIOD_MS)
+}
+
+// Put a bot in an empty seat; bots have no socket and never reconnect
+function seatBot(room, seat, bot) {
+  if (!isValidSeat(seat)) {
+    return { error: "Invalid seat" }
+  }
+  if (room.seats[seat] !== null) {
+    return { error: "Seat already taken" }
+  }
+
+  room.seats[seat] = { socketId: null, token: null, releaseTimer: null, bot }
+  return { seat }
+}
+
+function botSeats(room) {
+  return SEATS.filter((seat) => room.seats[seat] !== null && room.seats[seat].bot)
+}
+
+function countHumans(room) {
+  return SEATS.filter((seat) => room.seats[seat] !== null && !room.seats[seat].bot).length
+}
+
+function countSeated(room) {
+  return SEATS.filter((seat) => room.seats[seat] !== null).length
+}
+
+function describeSeats(room) {
+  return SEATS.map((seat) => ({
+    seat,
+    taken: room.seats[seat] !== null,
+    connected: room.seats[seat] !== null && room.seats[seat].socketId !== null,
+    bot: room.seats[seat] !== null && room.seats[seat].bot ? room.seats[seat].bot.difficulty : null,
+  }))
+}
+
+module.exports = {
+  SEATS,
+  createSeats,
+  isValidSeat,
+  findSeat,
+  holdsSeat,
+  claimSeat,
+  releaseSeat,
+  reserveSeat,
+  seatBot,
+  botSeats,
+  countHumans,
+  countSeated,
+  describeSeats,
+}
@@ -0,0 +1,40 @@
+// Spectator feed: everything sent to players is queued and replayed to
+// spectators after a delay, so they cannot relay live ghost positions
+const SPECTATOR_DELAY_MS = Number.parseInt(process.env.SPECTATOR_DELAY_MS) || 5000
+const MAX_SPECTATOR_DELAY_MS = 60000
+
+function createSpectatorFeed(state, delay = SPECTATOR_DELAY_MS) {
+  return {
+    delay: Math.min(MAX_SPECTATOR_DELAY_MS, Math.max(0, delay)),
+    queue: [],
+    // Latest state spectators have seen, used to build their snapshots
+    current: { seq: 0, state },
+  }
+}
+
+// Queue an event; messages carrying a state move the spectators' view when released
+function queueForSpectators(feed, event, payload, state = null, now = Date.now()) {
+  feed.queue.push({ at: now, event, payload, state })
+}
+
+// Take every queued event whose delay has passed
+function takeDue(feed, now = Date.now()) {
+  const due = []
+
+  while (feed.queue.length > 0 && feed.queue[0].at <= now - feed.delay) {
+    const entry = feed.queue.shift()
+    if (entry.state) {
+      feed.current = { seq: entry.payload.seq, state: entry.state }
+    }
+    due.push(entry)
+  }
+
+  return due
+}
+
+module.exports = {
+  SPECTATOR_DELAY_MS,
+  createSpectatorFeed,
+  queueForSpectators,
+  takeDue,
+}
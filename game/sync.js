@@ -0,0 +1,97 @@
+// State sync protocol: clients get a full snapshot on join or resync, then one
+// delta per tick with only what changed, tagged with a sequence number
+const PROTOCOL_VERSION = 2
+
+// Clients more than this many ticks behind their last ack get a fresh snapshot
+const MAX_ACK_LAG = Number.parseInt(process.env.MAX_ACK_LAG) || 20
+
+const ENTITY_KEYS = ["player1", "player2", "ghosts", "dots", "powerPellets"]
+// Per-tick events are sent as their own messages, never in deltas
+const TRANSIENT_KEYS = ["events"]
+
+function createSync() {
+  return { seq: 0, last: null }
+}
+
+function isEqual(a, b) {
+  if (a === b) return true
+  if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) return false
+  return JSON.stringify(a) === JSON.stringify(b)
+}
+
+// Fields of an entity that changed; removed fields are sent as null
+function changedFields(previous, next) {
+  const changes = {}
+  const keys = new Set([...Object.keys(previous), ...Object.keys(next)])
+
+  keys.forEach((key) => {
+    if (!isEqual(previous[key], next[key])) {
+      changes[key] = key in next ? next[key] : null
+    }
+  })
+
+  return changes
+}
+
+function eatenIds(previous, next) {
+  const remaining = new Set(next.map((item) => item.id))
+  return previous.filter((item) => !remaining.has(item.id)).map((item) => item.id)
+}
+
+// Returns null when the change cannot be expressed as a delta (new level or maze)
+function diffState(previous, next) {
+  if (!previous || previous.maze !== next.maze || previous.level !== next.level) return null
+  if (previous.ghosts.length !== next.ghosts.length) return null
+
+  const delta = { players: {}, ghosts: [], dotsEaten: [], pelletsEaten: [], state: {} }
+
+  ;["player1", "player2"].forEach((key) => {
+    const changes = changedFields(previous[key], next[key])
+    if (Object.keys(changes).length > 0) delta.players[key] = changes
+  })
+
+  next.ghosts.forEach((ghost, index) => {
+    const changes = changedFields(previous.ghosts[index], ghost)
+    if (Object.keys(changes).length > 0) delta.ghosts.push({ index, ...changes })
+  })
+
+  delta.dotsEaten = eatenIds(previous.dots, next.dots)
+  delta.pelletsEaten = eatenIds(previous.powerPellets, next.powerPellets)
+
+  Object.keys(next)
+    .filter((key) => !ENTITY_KEYS.includes(key) && !TRANSIENT_KEYS.includes(key))
+    .forEach((key) => {
+      if (!isEqual(previous[key], next[key])) delta.state[key] = next[key]
+    })
+
+  return delta
+}
+
+// Latest sequence a client has confirmed; stale acks and acks for unsent sequences are ignored
+function acknowledge(sync, ackSeq, seq) {
+  return Number.isInteger(seq) && seq > ackSeq && seq <= sync.seq ? seq : ackSeq
+}
+
+// Clients too far behind get a fresh snapshot instead of more deltas
+function isLagging(sync, ackSeq) {
+  return sync.seq - ackSeq > MAX_ACK_LAG
+}
+
+function snapshotMessage(sync, state) {
+  return { protocol: PROTOCOL_VERSION, seq: sync.seq, state }
+}
+
+function deltaMessage(sync, delta) {
+  return { protocol: PROTOCOL_VERSION, seq: sync.seq, baseSeq: sync.seq - 1, ...delta }
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  MAX_ACK_LAG,
+  createSync,
+  diffState,
+  acknowledge,
+  isLagging,
+  snapshotMessage,
+  deltaMessage,
+}
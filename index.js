@@ -1,12 +1,79 @@
+const crypto = require("crypto")
 const express = require("express")
 const { createServer } = require("http")
 const { Server } = require("socket.io")
-const mongoose = require("mongoose")
 const cors = require("cors")
 require("dotenv").config()
 
 // Import routes
 const leaderboardRoutes = require("./routes/leaderboard")
+const { initStorage, getStorage, checkStorage } = require("./storage")
+const { signResult } = require("./lib/resultTokens")
+const { registerReplayNamespace } = require("./sockets/replay")
+const {
+  HEARTBEAT_TIMEOUT_MS,
+  authenticateBridge,
+  isValidSeatList,
+  registerBridge,
+  touchBridge,
+  getBridge,
+  removeBridge,
+  staleBridges,
+  bridgeCount,
+  listBridges,
+} = require("./lib/bridges")
+const { getMapping, seatForController, setMapping } = require("./lib/controllers")
+const roomRoutes = require("./routes/rooms")
+const mazeRoutes = require("./routes/mazes")
+const rulesRoutes = require("./routes/rules")
+const playerRoutes = require("./routes/players")
+const authRoutes = require("./routes/auth")
+const matchRoutes = require("./routes/matches")
+const { createAdminRouter } = require("./routes/admin")
+const { requireAdmin } = require("./lib/adminAuth")
+const { DEFAULT_ROOM, isValidRoomName, createRoom, getRoom, removeRoom, queueInput, listRooms } = require("./game/rooms")
+const { createGameState, createRng, createManualClock, randomSeed, step, finishGame } = require("./game/engine")
+const { createRecorder, recordTick, recordEnd } = require("./game/replay")
+const {
+  RESUME_COUNTDOWN_MS,
+  startPause,
+  cancelCountdown,
+  clearPause,
+  voteResume,
+  stallingSeat,
+  describePause,
+} = require("./game/pause")
+const { resolveRules } = require("./game/rules")
+const { DEFAULT_MAZE, getMaze } = require("./game/mazes")
+const { diffState, acknowledge, isLagging, snapshotMessage, deltaMessage } = require("./game/sync")
+const { queueForSpectators, takeDue } = require("./game/spectators")
+const {
+  findSeat,
+  holdsSeat,
+  claimSeat,
+  releaseSeat,
+  reserveSeat,
+  seatBot,
+  botSeats,
+  countHumans,
+  countSeated,
+  describeSeats,
+} = require("./game/seats")
+const { DEFAULT_DIFFICULTY, isValidDifficulty, createBot, botInput } = require("./game/bot")
+const { createQueue, enqueue, dequeue, isQueued, takePairs, queuePosition } = require("./game/matchmaking")
+const { DEFAULT_RATING, rateMatch } = require("./lib/ratings")
+const { playerNameKey } = require("./lib/playerNames")
+const { verifyPlayerToken } = require("./lib/playerAuth")
+const { logger } = require("./lib/logger")
+const {
+  METRICS_CONTENT_TYPE,
+  gauge,
+  renderMetrics,
+  tickDuration,
+  tickOverruns,
+  socketEvents,
+  saveFailures,
+} = require("./lib/metrics")
 
 // Initialize Express app
 const app = express()
@@ -33,8 +100,30 @@ app.get("/", (req, res) => {
   })
 })
 
+// Readiness check: fails while the configured MongoDB can't be reached
+app.get("/health/ready", async (req, res) => {
+  const storage = await checkStorage()
+  res.status(storage.ready ? 200 : 503).json({
+    status: storage.ready ? "ready" : "not-ready",
+    timestamp: new Date().toISOString(),
+    storage,
+  })
+})
+
+// Prometheus metrics
+app.get("/metrics", (req, res) => {
+  res.set("Content-Type", METRICS_CONTENT_TYPE)
+  res.send(renderMetrics())
+})
+
 // API routes
 app.use("/api/leaderboard", leaderboardRoutes)
+app.use("/api/rooms", roomRoutes)
+app.use("/api/mazes", mazeRoutes)
+app.use("/api/rules", rulesRoutes)
+app.use("/api/players", playerRoutes)
+app.use("/api/auth", authRoutes)
+app.use("/api/matches", matchRoutes)
 
 // Initialize Socket.IO
 const io = new Server(server, {
@@ -43,633 +132,1220 @@ const io = new Server(server, {
   allowEIO3: true,
 })
 
-// Game state
-let gameState = {
-  player1: { x: 1, y: 1, direction: "right", score: 0, lives: 5, invulnerable: false, invulnerableTime: 0 },
-  player2: { x: 26, y: 1, direction: "left", score: 0, lives: 5, invulnerable: false, invulnerableTime: 0 },
-  dots: [],
-  powerPellets: [],
-  ghosts: [
-    { x: 13, y: 14, direction: "up", color: "red", speed: 1, target: null },
-    { x: 14, y: 14, direction: "up", color: "pink", speed: 1, target: null },
-    { x: 13, y: 15, direction: "left", color: "cyan", speed: 1, target: null },
-    { x: 14, y: 15, direction: "right", color: "orange", speed: 1, target: null },
-  ],
-  gameOver: false,
-  winner: null,
-  powerMode: false,
-  powerModeTime: 0,
-}
-
-// Arduino connection status
-let arduinoConnected = false
-const connectedBridges = new Set()
-
-// Connect to MongoDB
-const connectDB = async () => {
-  try {
-    if (process.env.MONGODB_URI) {
-      await mongoose.connect(process.env.MONGODB_URI)
-      console.log("✅ MongoDB connected")
-    } else {
-      console.log("⚠️ MongoDB URI not provided, using in-memory storage")
+// Replay playback namespace
+registerReplayNamespace(io)
+
+// Arduino bridges that stop sending heartbeats are evicted
+setInterval(evictStaleBridges, 5000).unref()
+
+// Players waiting in the matchmaking queue are paired every second
+const matchQueue = createQueue()
+setInterval(runMatchmaking, 1000).unref()
+
+// Connect to MongoDB, or fall back to in-memory storage
+initStorage()
+
+// Live gauges, read whenever /metrics is scraped
+gauge("pacman_connected_sockets", "Connected Socket.IO clients", () => io.sockets.sockets.size)
+gauge("pacman_arduino_bridges", "Registered Arduino bridges", () => bridgeCount())
+gauge("pacman_active_matches", "Matches in progress, by status", () =>
+  ["playing", "paused"].map((status) => ({
+    labels: { status },
+    value: listRooms().filter((room) => room.status === status).length,
+  })),
+)
+
+// Room helpers
+function getOrCreateRoom(name) {
+  return getRoom(name) || createRoom(name, createGameState())
+}
+
+function joinRoom(socket, name, { seat, token, spectate = false } = {}) {
+  leaveRoom(socket)
+
+  const room = getOrCreateRoom(name)
+  socket.data.room = room.name
+
+  const bridge = getBridge(socket.id)
+  if (bridge) bridge.room = room.name
+
+  if (spectate) {
+    return joinAsSpectator(socket, room)
+  }
+
+  room.clients.add(socket.id)
+  socket.join(room.name)
+  socket.data.role = "player"
+  socket.data.live = null
+
+  socket.emit("room-joined", {
+    room: room.name,
+    status: room.status,
+    players: countSeated(room),
+    role: "player",
+    pause: describePause(room),
+  })
+
+  if (seat !== undefined) {
+    handleSeatClaim(socket, room, seat, token)
+  }
+  updateFeed(socket, room)
+
+  return room
+}
+
+// Only seat holders get the live feed; unseated room members watch the delayed
+// spectator feed so they can't relay live positions either
+function updateFeed(socket, room) {
+  const live = findSeat(room, socket.id) !== null
+  if (socket.data.live === live) return
+  socket.data.live = live
+
+  if (live) {
+    socket.leave(spectatorChannel(room))
+    stopSpectatorFeedIfIdle(room)
+    socket.join(liveChannel(room))
+    sendSnapshot(socket, room)
+  } else {
+    socket.leave(liveChannel(room))
+    watchSpectatorFeed(socket, room)
+  }
+}
+
+function updateFeeds(room) {
+  room.clients.forEach((id) => {
+    const socket = io.sockets.sockets.get(id)
+    if (socket) updateFeed(socket, room)
+  })
+}
+
+// Spectators only listen on a separate channel that receives the delayed feed
+function joinAsSpectator(socket, room) {
+  room.spectators.add(socket.id)
+  socket.data.role = "spectator"
+
+  socket.emit("room-joined", {
+    room: room.name,
+    status: room.status,
+    players: countSeated(room),
+    role: "spectator",
+    delay: room.spectatorFeed.delay,
+  })
+  watchSpectatorFeed(socket, room)
+  broadcastViewerCount(room)
+
+  return room
+}
+
+function leaveRoom(socket, { disconnected = false } = {}) {
+  const room = getRoom(socket.data.room)
+  socket.data.room = null
+  if (!room) return
+
+  socket.leave(spectatorChannel(room))
+  stopSpectatorFeedIfIdle(room)
+
+  if (room.spectators.delete(socket.id)) {
+    broadcastViewerCount(room)
+    closeRoomIfEmpty(room)
+    return
+  }
+
+  room.clients.delete(socket.id)
+  socket.leave(room.name)
+  socket.leave(liveChannel(room))
+  socket.data.live = null
+
+  const seat = findSeat(room, socket.id)
+  if (seat) {
+    handleSeatLeft(room, seat, disconnected ? "disconnect" : "left")
+  }
+
+  if (seat && disconnected) {
+    reserveSeat(room, seat, () => {
+      logger.info("Seat released", { room: room.name, seat })
+      broadcastSeats(room)
+      closeRoomIfEmpty(room)
+    })
+    broadcastSeats(room)
+  } else if (seat) {
+    releaseSeat(room, seat)
+    broadcastSeats(room)
+  }
+
+  closeRoomIfEmpty(room)
+}
+
+// Empty rooms are dropped, except the default one and rooms with reserved seats;
+// bots alone do not keep a room open
+function closeRoomIfEmpty(room) {
+  const empty = room.clients.size === 0 && room.spectators.size === 0 && countHumans(room) === 0
+  if (empty && room.name !== DEFAULT_ROOM) {
+    if (room.pause) abandonMatch(room)
+
+    removeRoom(room.name)
+    logger.info("Room closed", { room: room.name })
+  }
+}
+
+function handleSeatClaim(socket, room, seat, token) {
+  const result = claimSeat(room, seat, socket.id, token)
+
+  if (result.error) {
+    socket.emit("seat-error", { seat, error: result.error })
+    return
+  }
+
+  socket.emit("seat-claimed", { room: room.name, seat: result.seat, token: result.token })
+  broadcastSeats(room)
+}
+
+function broadcastSeats(room) {
+  io.to(room.name).emit("seats-update", { room: room.name, seats: describeSeats(room) })
+  updateFeeds(room)
+}
+
+// State sync: full snapshots on join/resync, deltas on every tick
+function sendSnapshot(socket, room) {
+  socket.data.ackSeq = room.sync.seq
+  socket.emit("game-snapshot", snapshotMessage(room.sync, room.state))
+}
+
+function broadcastSnapshot(room) {
+  room.sync.seq++
+  room.sync.last = room.state
+
+  room.clients.forEach((id) => {
+    const socket = io.sockets.sockets.get(id)
+    if (socket && socket.data.live) sendSnapshot(socket, room)
+  })
+
+  queueSpectatorEvent(room, "game-snapshot", snapshotMessage(room.sync, room.state), room.state)
+}
+
+function broadcastState(room) {
+  const delta = diffState(room.sync.last, room.state)
+  if (!delta) return broadcastSnapshot(room)
+
+  room.sync.seq++
+  room.sync.last = room.state
+
+  const message = deltaMessage(room.sync, delta)
+  io.to(liveChannel(room)).emit("game-delta", message)
+  queueSpectatorEvent(room, "game-delta", message, room.state)
+
+  // Clients that stopped acknowledging are brought back with a snapshot
+  room.clients.forEach((id) => {
+    const socket = io.sockets.sockets.get(id)
+    if (socket && socket.data.live && isLagging(room.sync, socket.data.ackSeq || 0)) {
+      sendSnapshot(socket, room)
     }
-  } catch (err) {
-    console.error("❌ MongoDB connection error:", err)
-    console.log("⚠️ Continuing without database...")
+  })
+}
+
+// Room-wide events that spectators should also get, after their delay
+function emitToRoom(room, event, payload) {
+  io.to(liveChannel(room)).emit(event, payload)
+  queueSpectatorEvent(room, event, payload)
+}
+
+// Seat holders receive game updates live on this channel
+function liveChannel(room) {
+  return `${room.name}:live`
+}
+
+function spectatorChannel(room) {
+  return `${room.name}:spectators`
+}
+
+function spectatorChannelSize(room) {
+  const members = io.sockets.adapter.rooms.get(spectatorChannel(room))
+  return members ? members.size : 0
+}
+
+// With nobody watching, due events are dropped as soon as they are queued; that
+// keeps the queue to one delay's worth and the feed's current state fresh
+function queueSpectatorEvent(room, event, payload, state = null) {
+  queueForSpectators(room.spectatorFeed, event, payload, state)
+  if (spectatorChannelSize(room) === 0) takeDue(room.spectatorFeed)
+}
+
+function watchSpectatorFeed(socket, room) {
+  if (spectatorChannelSize(room) === 0) takeDue(room.spectatorFeed)
+
+  socket.join(spectatorChannel(room))
+  if (!room.spectatorTimer) {
+    room.spectatorTimer = setInterval(() => flushSpectators(room), 150)
   }
+  sendSpectatorSnapshot(socket, room)
 }
 
-connectDB()
+function stopSpectatorFeedIfIdle(room) {
+  if (spectatorChannelSize(room) === 0 && room.spectatorTimer) {
+    clearInterval(room.spectatorTimer)
+    room.spectatorTimer = null
+  }
+}
+
+function sendSpectatorSnapshot(socket, room) {
+  const { seq, state } = room.spectatorFeed.current
+  socket.emit("game-snapshot", snapshotMessage({ seq }, state))
+}
+
+function flushSpectators(room) {
+  takeDue(room.spectatorFeed).forEach(({ event, payload }) => {
+    io.to(spectatorChannel(room)).emit(event, payload)
+  })
+}
+
+function broadcastViewerCount(room) {
+  const payload = { room: room.name, viewers: room.spectators.size }
+  io.to(room.name).emit("viewer-count", payload)
+  io.to(spectatorChannel(room)).emit("viewer-count", payload)
+}
+
+// Arduino bridge helpers
+function pressInput(direction) {
+  if (typeof direction !== "string") return null
+
+  const input = { up: false, down: false, left: false, right: false }
+  const key = direction.toLowerCase()
+  if (!(key in input)) return null
+
+  input[key] = true
+  return input
+}
+
+function arduinoStatus() {
+  return {
+    connected: bridgeCount() > 0,
+    bridge: bridgeCount() > 0,
+    bridges: bridgeCount(),
+  }
+}
+
+function evictStaleBridges() {
+  const stale = staleBridges()
+  if (stale.length === 0) return
+
+  stale.forEach((bridge) => {
+    logger.warn("Arduino bridge timed out", { deviceId: bridge.deviceId, socketId: bridge.socketId })
+    removeBridge(bridge.socketId)
+
+    const socket = io.sockets.sockets.get(bridge.socketId)
+    if (socket) socket.disconnect(true)
+  })
+
+  io.emit("arduino-status", arduinoStatus())
+}
+
+// Spectators are read-only: every input event from them is refused
+function rejectSpectator(socket, event) {
+  if (socket.data.role !== "spectator") return false
+
+  socket.emit("input-rejected", { event, error: "Spectators cannot send input" })
+  return true
+}
+
+createRoom(DEFAULT_ROOM, createGameState())
+
+// Handshake auth: a valid player token logs the socket in, no token plays as a guest
+io.use((socket, next) => {
+  const token = socket.handshake.auth && socket.handshake.auth.token
+  if (!token) return next()
+
+  const player = verifyPlayerToken(token)
+  if (!player) return next(new Error("Invalid player token"))
+
+  socket.data.player = player
+  next()
+})
 
 // Socket.IO connection handling
 io.on("connection", (socket) => {
-  console.log("👤 New client connected:", socket.id)
+  const log = logger.child({ socketId: socket.id })
+  log.info("Client connected", { player: socket.data.player ? socket.data.player.name : null })
+
+  // Count every handled event by type; unknown names are pooled so clients can't add series
+  socket.onAny((event) => {
+    socketEvents.inc({ event: socket.listeners(event).length > 0 ? event : "unknown" })
+  })
+
+  // Clients start in the default room until they pick another one
+  joinRoom(socket, DEFAULT_ROOM)
 
   // Send current Arduino status
-  socket.emit("arduino-status", {
-    connected: arduinoConnected || connectedBridges.size > 0,
-    bridges: connectedBridges.size,
+  socket.emit("arduino-status", arduinoStatus())
+
+  // Handle room creation
+  socket.on("create-room", (data) => {
+    const { room: name, seat, token, spectatorDelay } = data || {}
+    if (!isValidRoomName(name)) {
+      return socket.emit("room-error", { error: "Invalid room name" })
+    }
+    if (getRoom(name.trim())) {
+      return socket.emit("room-error", { error: "Room already exists" })
+    }
+    if (spectatorDelay !== undefined && !Number.isFinite(spectatorDelay)) {
+      return socket.emit("room-error", { error: "Spectator delay must be a number of milliseconds" })
+    }
+
+    log.info("Room created", { room: name.trim() })
+    createRoom(name.trim(), createGameState(), { spectatorDelay })
+    joinRoom(socket, name.trim(), { seat, token })
+  })
+
+  // Handle joining an existing room
+  socket.on("join-room", (data) => {
+    const { room: name, seat, token, spectate } = data || {}
+    if (!isValidRoomName(name) || !getRoom(name.trim())) {
+      return socket.emit("room-error", { error: "Room not found" })
+    }
+
+    joinRoom(socket, name.trim(), { seat, token, spectate: spectate === true })
+  })
+
+  // Handle leaving a room (back to the default one)
+  socket.on("leave-room", () => {
+    joinRoom(socket, DEFAULT_ROOM)
+  })
+
+  // Handle seat claiming in the current room (token reclaims a reserved seat)
+  socket.on("claim-seat", (data) => {
+    const { seat, token } = data || {}
+    const room = getRoom(socket.data.room)
+    if (!room || rejectSpectator(socket, "claim-seat")) return
+
+    handleSeatClaim(socket, room, seat, token)
+  })
+
+  // Handle giving up a seat without leaving the room
+  socket.on("release-seat", () => {
+    const room = getRoom(socket.data.room)
+    if (!room) return
+
+    const seat = findSeat(room, socket.id)
+    if (seat) {
+      handleSeatLeft(room, seat, "left")
+      releaseSeat(room, seat)
+      broadcastSeats(room)
+    }
+  })
+
+  // Handle seating and removing AI opponents
+  socket.on("add-bot", (data) => {
+    const { seat, difficulty = DEFAULT_DIFFICULTY } = data || {}
+    const room = getRoom(socket.data.room)
+    if (!room || rejectSpectator(socket, "add-bot")) return
+
+    if (!isValidDifficulty(difficulty)) {
+      return socket.emit("seat-error", { seat, error: `Unknown bot difficulty: ${difficulty}` })
+    }
+    // Bots are marked on the player state when a match starts, so they can't join one mid-way
+    if (room.status === "playing" || room.status === "paused") {
+      return socket.emit("seat-error", { seat, error: "Cannot add a bot during a match" })
+    }
+
+    const result = seatBot(room, seat, createBot(seat, difficulty))
+    if (result.error) {
+      return socket.emit("seat-error", { seat, error: result.error })
+    }
+
+    log.info("Bot seated", { room: room.name, seat, difficulty })
+    broadcastSeats(room)
+  })
+
+  socket.on("remove-bot", (data) => {
+    const { seat } = data || {}
+    const room = getRoom(socket.data.room)
+    if (!room || rejectSpectator(socket, "remove-bot")) return
+
+    if (!botSeats(room).includes(seat)) {
+      return socket.emit("seat-error", { seat, error: "No bot in this seat" })
+    }
+    if (room.status === "playing" || room.status === "paused") {
+      return socket.emit("seat-error", { seat, error: "Cannot remove a bot during a match" })
+    }
+
+    releaseSeat(room, seat)
+    broadcastSeats(room)
+  })
+
+  // Handle state sync acknowledgements and explicit resync requests
+  socket.on("state-ack", (data) => {
+    const { seq } = data || {}
+    const room = getRoom(socket.data.room)
+    if (!room) return
+
+    socket.data.ackSeq = acknowledge(room.sync, socket.data.ackSeq || 0, seq)
+  })
+
+  socket.on("request-resync", () => {
+    const room = getRoom(socket.data.room)
+    if (!room) return
+
+    if (!socket.data.live) {
+      sendSpectatorSnapshot(socket, room)
+    } else {
+      sendSnapshot(socket, room)
+    }
   })
 
   // Handle Arduino bridge registration
-  socket.on("register-arduino-bridge", (data) => {
-    console.log("🌉 Arduino Bridge connected:", socket.id)
+  socket.on("register-arduino-bridge", (payload) => {
+    if (rejectSpectator(socket, "register-arduino-bridge")) return
+
+    const data = payload || {}
+
+    const auth = authenticateBridge(data)
+    if (auth.error) {
+      log.warn("Arduino bridge rejected", { error: auth.error })
+      socket.emit("bridge-error", { error: auth.error })
+      return socket.disconnect(true)
+    }
+
+    const seats = data.seats === undefined ? [1] : data.seats
+    if (!isValidSeatList(seats)) {
+      return socket.emit("bridge-error", { error: "Seats must be a list of 1 and/or 2" })
+    }
+
+    if (isValidRoomName(data.room)) {
+      joinRoom(socket, data.room.trim())
+    }
+
+    const bridge = registerBridge(socket.id, {
+      deviceId: typeof data.deviceId === "string" ? data.deviceId : null,
+      seats,
+      room: socket.data.room,
+      firmware: data.firmware,
+      device: data.device,
+      method: auth.method,
+    })
     socket.isBridge = true
-    connectedBridges.add(socket.id)
-    arduinoConnected = true
 
-    io.emit("arduino-status", {
-      connected: true,
-      bridge: true,
-      bridges: connectedBridges.size,
+    log.info("Arduino bridge connected", { deviceId: bridge.deviceId, method: auth.method, seats: bridge.seats })
+    socket.emit("bridge-registered", {
+      deviceId: bridge.deviceId,
+      seats: bridge.seats,
+      room: bridge.room,
+      heartbeatTimeout: HEARTBEAT_TIMEOUT_MS,
     })
+    io.emit("arduino-status", arduinoStatus())
+  })
+
+  // Handle bridge heartbeats
+  socket.on("bridge-heartbeat", () => {
+    if (touchBridge(socket.id)) {
+      socket.emit("bridge-heartbeat-ack", { serverTime: Date.now() })
+    }
   })
 
   // Handle Arduino input from bridge
-  socket.on("arduino-input", (input) => {
-    console.log("🎮 Arduino input received:", input)
-    updatePlayerDirection(gameState.player1, input)
-    io.emit("arduino-input", input)
-    io.emit("game-update", gameState)
+  socket.on("arduino-input", (data) => {
+    const input = data || {}
+    const room = getRoom(socket.data.room)
+    if (!room || rejectSpectator(socket, "arduino-input")) return
+
+    const bridge = touchBridge(socket.id)
+    if (!bridge) {
+      return socket.emit("input-rejected", { event: "arduino-input", error: "Not a registered bridge" })
+    }
+
+    // Seat comes from the input, then the controller mapping, then the bridge's only seat
+    let seat = input.seat
+    if (seat === undefined && input.controller !== undefined) {
+      seat = seatForController(input.controller)
+      if (seat === null) {
+        return socket.emit("input-rejected", { event: "arduino-input", error: `Controller ${input.controller} is not mapped` })
+      }
+    }
+    if (seat === undefined && bridge.seats.length === 1) {
+      seat = bridge.seats[0]
+    }
+    if (seat === undefined) {
+      return socket.emit("input-rejected", { event: "arduino-input", error: "Seat is required for multi-seat bridges" })
+    }
+    if (!bridge.seats.includes(seat)) {
+      return socket.emit("input-rejected", { event: "arduino-input", error: "Bridge does not control this seat" })
+    }
+
+    log.debug("Arduino input received", { room: room.name, seat, input })
+    queueInput(room, `player${seat}`, input)
+    io.to(room.name).emit("arduino-input", { ...input, seat })
   })
 
   // Handle player input
-  socket.on("player-input", ({ player, input }) => {
+  socket.on("player-input", (data) => {
+    const { player, input } = data || {}
+    const room = getRoom(socket.data.room)
+    if (!room || rejectSpectator(socket, "player-input")) return
+
+    if (!holdsSeat(room, socket.id, player)) {
+      return socket.emit("input-rejected", { player, error: "You do not hold this seat" })
+    }
+
     if (player === 1) {
-      updatePlayerDirection(gameState.player1, input)
+      queueInput(room, "player1", input)
     } else if (player === 2) {
-      updatePlayerDirection(gameState.player2, input)
+      queueInput(room, "player2", input)
     }
   })
 
   // Handle game start
-  socket.on("start-game", ({ player1Name, player2Name }) => {
-    console.log(`🎮 Starting game: ${player1Name} vs ${player2Name}`)
-    resetGameState()
-    gameState.player1.name = player1Name
-    gameState.player2.name = player2Name
+  socket.on("start-game", async (data) => {
+    const { player1Name, player2Name, maze = DEFAULT_MAZE, rules: requestedRules } = data || {}
+    const room = getRoom(socket.data.room)
+    if (!room || rejectSpectator(socket, "start-game")) return
 
-    if (!gameLoopInterval) {
-      startGameLoop()
+    if (room.status === "playing" || room.status === "paused") {
+      return socket.emit("game-error", { error: "A match is already in progress" })
     }
 
-    io.emit("game-started", { player1Name, player2Name })
-  })
+    if (!getMaze(maze)) {
+      return socket.emit("game-error", { error: `Unknown maze: ${maze}` })
+    }
 
-  // Manual Arduino control
-  socket.on("arduino-manual-press", (direction) => {
-    const input = { up: false, down: false, left: false, right: false }
+    const { rules, error } = resolveRules(requestedRules)
+    if (error) {
+      return socket.emit("game-error", { error })
+    }
+
+    // Seats without a logged-in account or a bot are guests
+    const names = { 1: player1Name, 2: player2Name }
+    const guestSeats = [1, 2].filter((seat) => !seatAccount(room, seat) && !botSeats(room).includes(seat))
+
+    try {
+      for (const seat of guestSeats) {
+        if (await isRegisteredName(names[seat])) {
+          return socket.emit("game-error", { error: `${names[seat]} is a registered player; log in to use that name` })
+        }
+      }
+    } catch (error) {
+      log.error("Error checking player names", { room: room.name, error })
+      return socket.emit("game-error", { error: "Failed to start the match" })
+    }
 
-    switch (direction.toUpperCase()) {
-      case "UP":
-        input.up = true
-        break
-      case "DOWN":
-        input.down = true
-        break
-      case "LEFT":
-        input.left = true
-        break
-      case "RIGHT":
-        input.right = true
-        break
+    if (room.status === "playing" || room.status === "paused") {
+      return socket.emit("game-error", { error: "A match is already in progress" })
     }
 
-    updatePlayerDirection(gameState.player1, input)
-    io.emit("arduino-input", input)
-    io.emit("game-update", gameState)
+    startMatch(room, { player1Name, player2Name, maze, rules })
   })
 
-  // Handle disconnect
-  socket.on("disconnect", () => {
-    if (socket.isBridge) {
-      console.log("🌉 Arduino Bridge disconnected:", socket.id)
-      connectedBridges.delete(socket.id)
+  // Matchmaking: wait in the queue to be paired into a new ranked match
+  socket.on("join-queue", async (data) => {
+    const { name: requestedName } = data || {}
+    // Logged-in players always queue under their account name
+    const account = socket.data.player
+    const name = account ? account.name : requestedName
+
+    if (typeof name !== "string" || !name.trim() || name.trim().length > 32) {
+      return socket.emit("queue-error", { error: "A name of 1 to 32 characters is required" })
+    }
+    if (isQueued(matchQueue, socket.id)) {
+      return socket.emit("queue-error", { error: "Already in the queue" })
+    }
 
-      if (connectedBridges.size === 0) {
-        arduinoConnected = false
+    try {
+      if (!account && (await isRegisteredName(name))) {
+        return socket.emit("queue-error", { error: `${name} is a registered player; log in to use that name` })
       }
 
-      io.emit("arduino-status", {
-        connected: connectedBridges.size > 0,
-        bridge: connectedBridges.size > 0,
-        bridges: connectedBridges.size,
-      })
+      const storage = await getStorage()
+      const record = await storage.ratings.find(name)
+      const rating = record ? record.rating : DEFAULT_RATING
+      if (!socket.connected) return
+
+      enqueue(matchQueue, { socketId: socket.id, name: name.trim(), rating })
+      socket.emit("queue-joined", { rating, position: queuePosition(matchQueue, socket.id) })
+    } catch (error) {
+      log.error("Error joining queue", { error })
+      socket.emit("queue-error", { error: "Failed to join the queue" })
     }
   })
-})
 
-// Game functions
-function updatePlayerDirection(player, input) {
-  if (input.up) player.direction = "up"
-  else if (input.down) player.direction = "down"
-  else if (input.left) player.direction = "left"
-  else if (input.right) player.direction = "right"
-}
+  socket.on("leave-queue", () => {
+    if (dequeue(matchQueue, socket.id)) {
+      socket.emit("queue-left")
+    }
+  })
 
-let gameLoopInterval = null
+  // Match control for seated players: pause, vote to resume, or forfeit
+  socket.on("pause-game", () => {
+    const room = getRoom(socket.data.room)
+    if (!room || rejectSpectator(socket, "pause-game")) return
 
-function startGameLoop() {
-  if (gameLoopInterval) clearInterval(gameLoopInterval)
+    const seat = findSeat(room, socket.id)
+    if (!seat) {
+      return socket.emit("game-error", { error: "Only seated players can pause" })
+    }
+    if (room.status !== "playing") {
+      return socket.emit("game-error", { error: "No match is running" })
+    }
+
+    pauseMatch(room, "requested", seat)
+  })
 
-  gameLoopInterval = setInterval(() => {
-    updateInvulnerability()
-    updatePowerMode()
-    movePlayer(gameState.player1)
-    movePlayer(gameState.player2)
-    moveGhosts()
-    checkCollisions()
-    checkGameOver()
-    io.emit("game-update", gameState)
+  socket.on("resume-game", () => {
+    const room = getRoom(socket.data.room)
+    if (!room || rejectSpectator(socket, "resume-game")) return
 
-    if (gameState.gameOver) {
-      clearInterval(gameLoopInterval)
-      gameLoopInterval = null
-      saveScores()
+    const seat = findSeat(room, socket.id)
+    if (!seat) {
+      return socket.emit("game-error", { error: "Only seated players can resume" })
     }
-  }, 150)
-}
-
-function updateInvulnerability() {
-  const currentTime = Date.now()
+    if (room.status !== "paused") {
+      return socket.emit("game-error", { error: "The match is not paused" })
+    }
+    if (room.pause.countdownTimer) return
 
-  if (gameState.player1.invulnerable && currentTime - gameState.player1.invulnerableTime > 3000) {
-    gameState.player1.invulnerable = false
-  }
+    const result = voteResume(room, seat)
+    if (result.error) {
+      return socket.emit("game-error", { error: result.error })
+    }
 
-  if (gameState.player2.invulnerable && currentTime - gameState.player2.invulnerableTime > 3000) {
-    gameState.player2.invulnerable = false
-  }
-}
+    emitToRoom(room, "resume-votes", { votes: room.pause.votes, waitingFor: result.waitingFor })
 
-function updatePowerMode() {
-  if (gameState.powerMode) {
-    const currentTime = Date.now()
-    if (currentTime - gameState.powerModeTime > 10000) {
-      gameState.powerMode = false
-      gameState.ghosts.forEach((ghost) => {
-        if (ghost.color === "blue" && ghost.originalColor) {
-          ghost.color = ghost.originalColor
-          delete ghost.originalColor
-        }
-      })
+    if (result.ready) {
+      room.pause.countdownTimer = setTimeout(() => resumeMatch(room), RESUME_COUNTDOWN_MS)
+      emitToRoom(room, "resume-countdown", { ms: RESUME_COUNTDOWN_MS })
     }
-  }
-}
+  })
 
-function resetGameState() {
-  gameState = {
-    player1: { x: 1, y: 1, direction: "right", score: 0, lives: 5, invulnerable: false, invulnerableTime: 0, name: "" },
-    player2: { x: 26, y: 1, direction: "left", score: 0, lives: 5, invulnerable: false, invulnerableTime: 0, name: "" },
-    dots: [],
-    powerPellets: [],
-    ghosts: [
-      { x: 13, y: 14, direction: "up", color: "red", speed: 1, target: null },
-      { x: 14, y: 14, direction: "up", color: "pink", speed: 1, target: null },
-      { x: 13, y: 15, direction: "left", color: "cyan", speed: 1, target: null },
-      { x: 14, y: 15, direction: "right", color: "orange", speed: 1, target: null },
-    ],
-    gameOver: false,
-    winner: null,
-    powerMode: false,
-    powerModeTime: 0,
-  }
+  socket.on("forfeit", () => {
+    const room = getRoom(socket.data.room)
+    if (!room || rejectSpectator(socket, "forfeit")) return
 
-  // Initialize maze
-  const MAZE_LAYOUT = [
-    [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1],
-    [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1],
-    [1, 0, 1, 1, 1, 1, 0, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 0, 1, 1, 1, 1, 0, 1],
-    [1, 3, 1, 1, 1, 1, 0, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 0, 1, 1, 1, 1, 3, 1],
-    [1, 0, 1, 1, 1, 1, 0, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 0, 1, 1, 1, 1, 0, 1],
-    [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1],
-    [1, 0, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 0, 1],
-    [1, 0, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 0, 1],
-    [1, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0, 0, 0, 1, 1, 0, 0, 0, 0, 1, 1, 0, 0, 0, 0, 0, 0, 1],
-    [1, 1, 1, 1, 1, 1, 0, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 0, 1, 1, 1, 1, 1, 1],
-    [1, 1, 1, 1, 1, 1, 0, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 0, 1, 1, 1, 1, 1, 1],
-    [1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1],
-    [1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 2, 2, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1],
-    [1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 2, 2, 2, 2, 2, 2, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1],
-    [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 2, 2, 2, 2, 2, 2, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-    [1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 2, 2, 2, 2, 2, 2, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1],
-    [1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1],
-    [1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1],
-    [1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1],
-    [1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1],
-    [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1],
-    [1, 0, 1, 1, 1, 1, 0, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 0, 1, 1, 1, 1, 0, 1],
-    [1, 0, 1, 1, 1, 1, 0, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 0, 1, 1, 1, 1, 0, 1],
-    [1, 3, 0, 0, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0, 3, 1],
-    [1, 1, 1, 0, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 0, 1, 1, 1],
-    [1, 1, 1, 0, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 0, 1, 1, 1],
-    [1, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0, 0, 0, 1, 1, 0, 0, 0, 0, 1, 1, 0, 0, 0, 0, 0, 0, 1],
-    [1, 0, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 1],
-    [1, 0, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 1],
-    [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1],
-    [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1],
-  ]
-
-  for (let y = 0; y < MAZE_LAYOUT.length; y++) {
-    for (let x = 0; x < MAZE_LAYOUT[y].length; x++) {
-      if (MAZE_LAYOUT[y][x] === 0) {
-        gameState.dots.push({ x, y })
-      } else if (MAZE_LAYOUT[y][x] === 3) {
-        gameState.powerPellets.push({ x, y })
-      }
+    const seat = findSeat(room, socket.id)
+    if (!seat) {
+      return socket.emit("game-error", { error: "Only seated players can forfeit" })
+    }
+    if (room.status !== "playing" && room.status !== "paused") {
+      return socket.emit("game-error", { error: "No match is running" })
     }
-  }
-}
 
-function movePlayer(player) {
-  const MAZE_LAYOUT = [
-    [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1],
-    [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1],
-    [1, 0, 1, 1, 1, 1, 0, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 0, 1, 1, 1, 1, 0, 1],
-    [1, 3, 1, 1, 1, 1, 0, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 0, 1, 1, 1, 1, 3, 1],
-    [1, 0, 1, 1, 1, 1, 0, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 0, 1, 1, 1, 1, 0, 1],
-    [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1],
-    [1, 0, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 0, 1],
-    [1, 0, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 0, 1],
-    [1, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0, 0, 0, 1, 1, 0, 0, 0, 0, 1, 1, 0, 0, 0, 0, 0, 0, 1],
-    [1, 1, 1, 1, 1, 1, 0, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 0, 1, 1, 1, 1, 1, 1],
-    [1, 1, 1, 1, 1, 1, 0, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 0, 1, 1, 1, 1, 1, 1],
-    [1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1],
-    [1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 2, 2, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1],
-    [1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 2, 2, 2, 2, 2, 2, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1],
-    [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 2, 2, 2, 2, 2, 2, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-    [1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 2, 2, 2, 2, 2, 2, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1],
-    [1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1],
-    [1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1],
-    [1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1],
-    [1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1],
-    [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1],
-    [1, 0, 1, 1, 1, 1, 0, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 0, 1, 1, 1, 1, 0, 1],
-    [1, 0, 1, 1, 1, 1, 0, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 0, 1, 1, 1, 1, 0, 1],
-    [1, 3, 0, 0, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0, 3, 1],
-    [1, 1, 1, 0, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 0, 1, 1, 1],
-    [1, 1, 1, 0, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 0, 1, 1, 1],
-    [1, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0, 0, 0, 1, 1, 0, 0, 0, 0, 1, 1, 0, 0, 0, 0, 0, 0, 1],
-    [1, 0, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 1],
-    [1, 0, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 1],
-    [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1],
-    [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1],
-  ]
-
-  let newX = player.x
-  let newY = player.y
-
-  switch (player.direction) {
-    case "up":
-      newY--
-      break
-    case "down":
-      newY++
-      break
-    case "left":
-      newX--
-      break
-    case "right":
-      newX++
-      break
-  }
+    log.info("Player forfeited", { room: room.name, seat })
+    endMatch(room, "forfeit", seat === 1 ? 2 : 1)
+  })
 
-  // Handle tunnel
-  if (newX < 0) newX = 27
-  if (newX > 27) newX = 0
-
-  // Check bounds and walls
-  if (
-    newY >= 0 &&
-    newY < MAZE_LAYOUT.length &&
-    newX >= 0 &&
-    newX < MAZE_LAYOUT[0].length &&
-    MAZE_LAYOUT[newY][newX] !== 1
-  ) {
-    player.x = newX
-    player.y = newY
-  }
-}
+  // Manual Arduino control: a direction string for player 1, or { direction, player }
+  socket.on("arduino-manual-press", (data) => {
+    const room = getRoom(socket.data.room)
+    if (!room || rejectSpectator(socket, "arduino-manual-press")) return
 
-function moveGhosts() {
-  gameState.ghosts.forEach((ghost, index) => {
-    let target = null
+    const { direction, player = 1 } = typeof data === "string" ? { direction: data } : data || {}
 
-    if (gameState.powerMode) {
-      // Run away from players
-      const player1Distance = Math.abs(ghost.x - gameState.player1.x) + Math.abs(ghost.y - gameState.player1.y)
-      const player2Distance = Math.abs(ghost.x - gameState.player2.x) + Math.abs(ghost.y - gameState.player2.y)
+    if (!holdsSeat(room, socket.id, player)) {
+      return socket.emit("input-rejected", { player, error: "You do not hold this seat" })
+    }
 
-      if (player1Distance < player2Distance) {
-        target = {
-          x: ghost.x + (ghost.x - gameState.player1.x),
-          y: ghost.y + (ghost.y - gameState.player1.y),
-        }
-      } else {
-        target = {
-          x: ghost.x + (ghost.x - gameState.player2.x),
-          y: ghost.y + (ghost.y - gameState.player2.y),
-        }
-      }
-    } else {
-      // Target players
-      switch (index) {
-        case 0:
-          target = { x: gameState.player1.x, y: gameState.player1.y }
-          break
-        case 1:
-          target = { x: gameState.player2.x, y: gameState.player2.y }
-          break
-        case 2:
-          if (gameState.player1.score >= gameState.player2.score) {
-            target = { x: gameState.player1.x, y: gameState.player1.y }
-          } else {
-            target = { x: gameState.player2.x, y: gameState.player2.y }
-          }
-          break
-        case 3:
-          if (Math.random() < 0.3) {
-            const player1Distance = Math.abs(ghost.x - gameState.player1.x) + Math.abs(ghost.y - gameState.player1.y)
-            const player2Distance = Math.abs(ghost.x - gameState.player2.x) + Math.abs(ghost.y - gameState.player2.y)
-
-            if (player1Distance < player2Distance) {
-              target = { x: gameState.player1.x, y: gameState.player1.y }
-            } else {
-              target = { x: gameState.player2.x, y: gameState.player2.y }
-            }
-          }
-          break
-      }
+    const input = pressInput(direction)
+    if (!input) {
+      return socket.emit("input-rejected", { player, error: "Invalid direction" })
     }
 
-    let newX = ghost.x
-    let newY = ghost.y
+    queueInput(room, `player${player}`, input)
+    io.to(room.name).emit("arduino-input", { ...input, seat: player })
+  })
+
+  // Handle disconnect
+  socket.on("disconnect", () => {
+    dequeue(matchQueue, socket.id)
+    leaveRoom(socket, { disconnected: true })
 
-    if (target) {
-      const deltaX = target.x - ghost.x
-      const deltaY = target.y - ghost.y
+    if (socket.isBridge && removeBridge(socket.id)) {
+      log.info("Arduino bridge disconnected")
+      io.emit("arduino-status", arduinoStatus())
+    }
+  })
+})
 
-      if (Math.abs(deltaX) > Math.abs(deltaY)) {
-        if (deltaX > 0) {
-          newX++
-          ghost.direction = "right"
-        } else {
-          newX--
-          ghost.direction = "left"
-        }
-      } else {
-        if (deltaY > 0) {
-          newY++
-          ghost.direction = "down"
-        } else {
-          newY--
-          ghost.direction = "up"
-        }
-      }
-    } else {
-      // Random movement
-      const directions = ["up", "down", "left", "right"]
-      ghost.direction = directions[Math.floor(Math.random() * directions.length)]
-
-      switch (ghost.direction) {
-        case "up":
-          newY--
-          break
-        case "down":
-          newY++
-          break
-        case "left":
-          newX--
-          break
-        case "right":
-          newX++
-          break
-      }
+// Game time advances a fixed amount per tick, so recorded matches replay exactly
+function startGameLoop(room) {
+  if (room.loop) clearInterval(room.loop)
+  room.status = "playing"
+  const tickMs = room.state.rules.tickMs
+  let lastTickAt = performance.now()
+
+  room.loop = setInterval(() => {
+    const tickStartedAt = performance.now()
+    const lateBy = tickStartedAt - lastTickAt - tickMs
+    lastTickAt = tickStartedAt
+
+    botSeats(room).forEach((seat) => {
+      queueInput(room, `player${seat}`, botInput(room.state, room.seats[seat].bot))
+    })
+
+    const inputs = room.inputs
+    const level = room.state.level
+    room.inputs = {}
+    room.clock.advance(tickMs)
+    recordTick(room.recorder, inputs)
+    room.state = step(room.state, inputs, room.clock, room.rng)
+
+    if (room.state.level !== level) {
+      emitToRoom(room, "level-up", { level: room.state.level, maze: room.state.maze })
     }
 
-    // Handle tunnel
-    if (newX < 0) newX = 27
-    if (newX > 27) newX = 0
+    broadcastState(room)
+    room.state.events.forEach((event) => emitToRoom(room, "score-event", event))
 
-    // Simple bounds checking
-    if (newX >= 0 && newX < 28 && newY >= 0 && newY < 31) {
-      ghost.x = newX
-      ghost.y = newY
+    if (room.state.gameOver) {
+      clearInterval(room.loop)
+      room.loop = null
+      room.status = "finished"
+      finishMatch(room)
     }
-  })
+
+    const duration = performance.now() - tickStartedAt
+    tickDuration.observe({}, duration / 1000)
+    if (duration > tickMs || lateBy > tickMs / 2) {
+      tickOverruns.inc()
+    }
+  }, tickMs)
 }
 
-function checkCollisions() {
-  // Check dot collection
-  gameState.dots = gameState.dots.filter((dot) => {
-    if (
-      (dot.x === gameState.player1.x && dot.y === gameState.player1.y) ||
-      (dot.x === gameState.player2.x && dot.y === gameState.player2.y)
-    ) {
-      if (dot.x === gameState.player1.x && dot.y === gameState.player1.y) {
-        gameState.player1.score += 10
-      }
-      if (dot.x === gameState.player2.x && dot.y === gameState.player2.y) {
-        gameState.player2.score += 10
-      }
-      return false
+// Put each matched pair in a new room of their own and start a ranked match
+function runMatchmaking() {
+  takePairs(matchQueue).forEach((pair) => {
+    const sockets = pair.map((entry) => io.sockets.sockets.get(entry.socketId))
+
+    // Someone left in the meantime: the other player keeps their place in the queue
+    if (sockets.some((socket) => !socket)) {
+      pair.forEach((entry, index) => {
+        if (sockets[index]) matchQueue.set(entry.socketId, entry)
+      })
+      return
     }
-    return true
+
+    const room = createRoom(`match-${crypto.randomBytes(6).toString("hex")}`, createGameState())
+    room.ranked = true
+
+    pair.forEach((entry, index) => {
+      const opponent = pair[1 - index]
+      joinRoom(sockets[index], room.name, { seat: index + 1 })
+      sockets[index].emit("match-found", {
+        room: room.name,
+        seat: index + 1,
+        rating: entry.rating,
+        opponent: { name: opponent.name, rating: opponent.rating },
+      })
+    })
+
+    logger.info("Players matched", {
+      room: room.name,
+      players: pair.map(({ name, rating }) => ({ name, rating })),
+    })
+    startMatch(room, {
+      player1Name: pair[0].name,
+      player2Name: pair[1].name,
+      maze: DEFAULT_MAZE,
+      rules: resolveRules().rules,
+    })
   })
+}
 
-  // Check power pellet collection
-  gameState.powerPellets = gameState.powerPellets.filter((pellet) => {
-    if (
-      (pellet.x === gameState.player1.x && pellet.y === gameState.player1.y) ||
-      (pellet.x === gameState.player2.x && pellet.y === gameState.player2.y)
-    ) {
-      if (pellet.x === gameState.player1.x && pellet.y === gameState.player1.y) {
-        gameState.player1.score += 50
-      }
-      if (pellet.x === gameState.player2.x && pellet.y === gameState.player2.y) {
-        gameState.player2.score += 50
-      }
+// Account logged in on the socket holding a seat, if any
+function seatAccount(room, seat) {
+  const holder = room.seats[seat]
+  const socket = holder && holder.socketId && io.sockets.sockets.get(holder.socketId)
+  return socket && socket.data.player ? socket.data.player : null
+}
 
-      gameState.powerMode = true
-      gameState.powerModeTime = Date.now()
+// Guests may not play under a name that belongs to an account
+async function isRegisteredName(name) {
+  if (typeof name !== "string" || !name.trim()) return false
 
-      gameState.ghosts.forEach((ghost) => {
-        if (ghost.color !== "blue") {
-          ghost.originalColor = ghost.color
-          ghost.color = "blue"
-        }
-      })
+  const storage = await getStorage()
+  return Boolean(await storage.players.findByName(name))
+}
 
-      return false
-    }
-    return true
+// Set up a fresh match in the room and start its loop
+function startMatch(room, { player1Name, player2Name, maze, rules }) {
+  room.state = createGameState({ maze, rules })
+  room.state.player1.name = player1Name
+  room.state.player2.name = player2Name
+
+  // Seats held by logged-in players always play under the account's name
+  ;[1, 2].forEach((seat) => {
+    const account = seatAccount(room, seat)
+    const player = room.state[`player${seat}`]
+    player.playerId = account ? account.id : null
+    if (account) player.name = account.name
   })
 
-  // Check ghost collisions
-  gameState.ghosts.forEach((ghost, ghostIndex) => {
-    // Player 1 collision
-    if (ghost.x === gameState.player1.x && ghost.y === gameState.player1.y) {
-      if (gameState.powerMode) {
-        gameState.player1.score += 200
-        ghost.x = 13 + (ghostIndex % 2)
-        ghost.y = 14 + Math.floor(ghostIndex / 2)
-        if (ghost.originalColor) {
-          ghost.color = ghost.originalColor
-          delete ghost.originalColor
-        }
-      } else if (!gameState.player1.invulnerable) {
-        gameState.player1.lives--
-        gameState.player1.invulnerable = true
-        gameState.player1.invulnerableTime = Date.now()
-        gameState.player1.x = 1
-        gameState.player1.y = 1
-        gameState.player1.direction = "right"
-      }
-    }
+  // Bots play under their own name and are marked with their difficulty
+  botSeats(room).forEach((seat) => {
+    const bot = room.seats[seat].bot
+    const player = room.state[`player${seat}`]
+    bot.ticks = 0
+    player.name = bot.name
+    player.bot = bot.difficulty
+  })
 
-    // Player 2 collision
-    if (ghost.x === gameState.player2.x && ghost.y === gameState.player2.y) {
-      if (gameState.powerMode) {
-        gameState.player2.score += 200
-        ghost.x = 13 + (ghostIndex % 2)
-        ghost.y = 14 + Math.floor(ghostIndex / 2)
-        if (ghost.originalColor) {
-          ghost.color = ghost.originalColor
-          delete ghost.originalColor
-        }
-      } else if (!gameState.player2.invulnerable) {
-        gameState.player2.lives--
-        gameState.player2.invulnerable = true
-        gameState.player2.invulnerableTime = Date.now()
-        gameState.player2.x = 26
-        gameState.player2.y = 1
-        gameState.player2.direction = "left"
-      }
-    }
+  const { player1, player2 } = room.state
+  logger.info("Match started", { room: room.name, maze, rules: rules.preset, players: [player1.name, player2.name] })
+  room.inputs = {}
+  room.seed = randomSeed()
+  room.rng = createRng(room.seed)
+  room.clock = createManualClock(0)
+  room.recorder = createRecorder({
+    seed: room.seed,
+    maze,
+    rules,
+    player1Name: player1.name,
+    player2Name: player2.name,
+  })
+  room.startedAt = new Date()
+
+  broadcastSnapshot(room)
+
+  // Restart the loop so a new tick rate takes effect
+  startGameLoop(room)
+
+  emitToRoom(room, "game-started", {
+    room: room.name,
+    player1Name: player1.name,
+    player2Name: player2.name,
+    maze,
+    level: room.state.level,
+    rules,
   })
 }
 
-function checkGameOver() {
-  // All dots collected
-  if (gameState.dots.length === 0 && gameState.powerPellets.length === 0) {
-    gameState.gameOver = true
-    if (gameState.player1.score > gameState.player2.score) {
-      gameState.winner = gameState.player1.name || "Player 1"
-    } else if (gameState.player2.score > gameState.player1.score) {
-      gameState.winner = gameState.player2.name || "Player 2"
-    } else {
-      gameState.winner = null
-    }
+// Pausing just stops the loop: game time only moves on ticks, so nothing is lost
+function pauseMatch(room, reason, seat = null) {
+  if (room.status !== "playing") return
+
+  clearInterval(room.loop)
+  room.loop = null
+  room.status = "paused"
+  startPause(room, { reason, seat }, () => abandonMatch(room))
+
+  logger.info("Match paused", { room: room.name, reason, seat })
+  emitToRoom(room, "game-paused", describePause(room))
+}
+
+function resumeMatch(room) {
+  clearPause(room)
+  room.inputs = {}
+  startGameLoop(room)
+
+  logger.info("Match resumed", { room: room.name })
+  emitToRoom(room, "game-resumed", { room: room.name })
+}
+
+// A seated player going away pauses the match, or stops a resume countdown
+function handleSeatLeft(room, seat, reason) {
+  if (room.status === "playing") {
+    pauseMatch(room, reason, seat)
+  } else if (room.status === "paused" && cancelCountdown(room)) {
+    emitToRoom(room, "resume-cancelled", { seat })
   }
+}
 
-  // Both players dead
-  if (gameState.player1.lives <= 0 && gameState.player2.lives <= 0) {
-    gameState.gameOver = true
-    if (gameState.player1.score > gameState.player2.score) {
-      gameState.winner = gameState.player1.name || "Player 1"
-    } else if (gameState.player2.score > gameState.player1.score) {
-      gameState.winner = gameState.player2.name || "Player 2"
-    } else {
-      gameState.winner = null
-    }
+// The player still present (connected, or a bot) wins an abandoned match. When
+// both are, the seat that stalled the pause loses, so pausing can't force a draw.
+function abandonMatch(room) {
+  const present = [1, 2].filter((seat) => room.seats[seat] && (room.seats[seat].socketId || room.seats[seat].bot))
+  const staller = present.length === 2 && room.pause ? stallingSeat(room) : null
+
+  let winnerSeat = null
+  if (present.length === 1) winnerSeat = present[0]
+  else if (staller) winnerSeat = staller === 1 ? 2 : 1
+
+  logger.warn("Match abandoned", { room: room.name, winnerSeat, stalledBy: staller })
+  endMatch(room, "abandoned", winnerSeat)
+}
+
+// End a match outside the engine's rules; the replay records how it ended
+function endMatch(room, endReason, winnerSeat) {
+  if (room.loop) {
+    clearInterval(room.loop)
+    room.loop = null
   }
+  clearPause(room)
 
-  // One player dead
-  if (gameState.player1.lives <= 0 && gameState.player2.lives > 0) {
-    gameState.gameOver = true
-    gameState.winner = gameState.player2.name || "Player 2"
-  } else if (gameState.player2.lives <= 0 && gameState.player1.lives > 0) {
-    gameState.gameOver = true
-    gameState.winner = gameState.player1.name || "Player 1"
+  recordEnd(room.recorder, endReason, winnerSeat)
+  room.state = finishGame(room.state, endReason, winnerSeat)
+  broadcastState(room)
+
+  room.status = "finished"
+  finishMatch(room)
+}
+
+function matchPlayer(player) {
+  return {
+    name: player.name,
+    nameKey: player.name ? playerNameKey(player.name) : "",
+    score: player.score,
+    lives: Math.max(0, player.lives),
+    playerId: player.playerId || null,
+    bot: player.bot || null,
   }
 }
 
-async function saveScores() {
+// Bots never get a result token, so their scores are saved with the match
+async function saveBotScores(storage, match) {
+  for (const seat of [1, 2]) {
+    const player = match[`player${seat}`]
+    if (!player.bot) continue
+
+    const score = await storage.scores.create({
+      playerName: player.name,
+      score: player.score,
+      date: match.endedAt,
+      match: match._id,
+      guest: false,
+      bot: player.bot,
+    })
+    await storage.matches.linkScore(match._id, seat, score._id)
+  }
+}
+
+// Human scores only reach the leaderboard when a seat claims them with its result token
+async function saveMatch(room) {
   try {
-    if (!mongoose.connection.readyState) {
-      console.log("⚠️ Database not connected, skipping score save")
-      return
-    }
+    const storage = await getStorage()
+    const state = room.state
+    const endedAt = new Date()
+
+    const match = await storage.matches.create({
+      room: room.name,
+      player1: matchPlayer(state.player1),
+      player2: matchPlayer(state.player2),
+      winnerSeat: state.winnerSeat,
+      winner: state.winner,
+      endReason: state.endReason,
+      maze: state.maze,
+      level: state.level,
+      rules: state.rules,
+      duration: endedAt - room.startedAt,
+      startedAt: room.startedAt,
+      endedAt,
+      replay: room.recorder,
+    })
 
-    const Score = require("./models/Score")
+    logger.info("Match saved", { room: room.name, matchId: match._id.toString(), endReason: room.state.endReason })
 
-    if (gameState.player1.name) {
-      const score1 = new Score({
-        playerName: gameState.player1.name,
-        score: gameState.player1.score,
-        date: new Date(),
-      })
-      await score1.save()
+    try {
+      await saveBotScores(storage, match)
+    } catch (error) {
+      saveFailures.inc({ operation: "score" })
+      logger.error("Error saving bot scores", { room: room.name, matchId: match._id.toString(), error })
     }
+    return match
+  } catch (error) {
+    saveFailures.inc({ operation: "match" })
+    logger.error("Error saving match", { room: room.name, error })
+    return null
+  }
+}
 
-    if (gameState.player2.name) {
-      const score2 = new Score({
-        playerName: gameState.player2.name,
-        score: gameState.player2.score,
-        date: new Date(),
-      })
-      await score2.save()
-    }
+// Ranked matches move both players' Elo ratings, using the engine's winner
+async function updateRatings(room) {
+  const { player1, player2, winnerSeat } = room.state
+  if (player1.bot || player2.bot || playerNameKey(player1.name) === playerNameKey(player2.name)) return
 
-    console.log("💾 Scores saved to database")
+  try {
+    const storage = await getStorage()
+    const records = await Promise.all([storage.ratings.find(player1.name), storage.ratings.find(player2.name)])
+    const before = records.map((record) => (record ? record.rating : DEFAULT_RATING))
+    const after = rateMatch(before[0], before[1], winnerSeat)
+
+    const updated = await Promise.all(
+      [player1, player2].map((player, index) => {
+        const seat = index + 1
+        const record = records[index] || { games: 0, wins: 0, losses: 0, draws: 0 }
+
+        return storage.ratings.save({
+          playerName: player.name,
+          rating: after[index],
+          games: record.games + 1,
+          wins: record.wins + (winnerSeat === seat ? 1 : 0),
+          losses: record.losses + (winnerSeat && winnerSeat !== seat ? 1 : 0),
+          draws: record.draws + (winnerSeat ? 0 : 1),
+        })
+      }),
+    )
+
+    emitToRoom(room, "ratings-updated", {
+      player1: { name: player1.name, rating: updated[0].rating, change: after[0] - before[0] },
+      player2: { name: player2.name, rating: updated[1].rating, change: after[1] - before[1] },
+    })
   } catch (error) {
-    console.error("❌ Error saving scores:", error)
+    saveFailures.inc({ operation: "ratings" })
+    logger.error("Error updating ratings", { room: room.name, error })
+  }
+}
+
+// Save the match, announce the result and hand each seat its signed result token
+async function finishMatch(room) {
+  const state = room.state
+  const match = await saveMatch(room)
+  const matchId = match ? match._id.toString() : null
+
+  emitToRoom(room, "game-over", {
+    matchId,
+    winner: state.winner,
+    winnerSeat: state.winnerSeat,
+    endReason: state.endReason,
+  })
+
+  if (room.ranked) {
+    await updateRatings(room)
+  }
+
+  if (!matchId) return
+
+  for (const seat of [1, 2]) {
+    const holder = room.seats[seat]
+    if (!holder || !holder.socketId) continue
+
+    io.to(holder.socketId).emit("result-token", {
+      matchId,
+      seat,
+      score: state[`player${seat}`].score,
+      token: signResult(matchId, seat, state[`player${seat}`].score),
+    })
   }
 }
 
+// API endpoint for listing connected Arduino bridges
+app.get("/api/arduino/bridges", (req, res) => {
+  res.json(listBridges())
+})
+
+// API endpoints for the Arduino controller-to-seat mapping
+app.get("/api/arduino/mapping", (req, res) => {
+  res.json({ mapping: getMapping() })
+})
+
+// Remapping controllers and pressing buttons for any seat need the admin token
+app.put("/api/arduino/mapping", requireAdmin, (req, res) => {
+  const result = setMapping(req.body && req.body.mapping)
+
+  if (result.error) {
+    return res.status(400).json({ error: result.error })
+  }
+
+  io.emit("arduino-mapping", result)
+  res.json(result)
+})
+
 // API endpoint for manual Arduino control
-app.post("/api/arduino/press", (req, res) => {
-  const { direction } = req.body
+app.post("/api/arduino/press", requireAdmin, (req, res) => {
+  const { direction, room: roomName, player = 1 } = req.body
+  const room = getRoom(roomName || DEFAULT_ROOM)
 
-  if (!direction || !["UP", "DOWN", "LEFT", "RIGHT"].includes(direction.toUpperCase())) {
-    return res.status(400).json({ error: "Invalid direction" })
+  if (!room) {
+    return res.status(404).json({ error: "Room not found" })
   }
 
-  const input = { up: false, down: false, left: false, right: false }
+  if (player !== 1 && player !== 2) {
+    return res.status(400).json({ error: "Player must be 1 or 2" })
+  }
+
+  const input = pressInput(direction)
 
-  switch (direction.toUpperCase()) {
-    case "UP":
-      input.up = true
-      break
-    case "DOWN":
-      input.down = true
-      break
-    case "LEFT":
-      input.left = true
-      break
-    case "RIGHT":
-      input.right = true
-      break
+  if (!input) {
+    return res.status(400).json({ error: "Invalid direction" })
   }
 
-  updatePlayerDirection(gameState.player1, input)
-  io.emit("arduino-input", input)
-  io.emit("game-update", gameState)
+  queueInput(room, `player${player}`, input)
+  io.to(room.name).emit("arduino-input", { ...input, seat: player })
 
-  res.json({ success: true, message: `Button ${direction} pressed`, input })
+  res.json({ success: true, message: `Button ${direction} pressed for player ${player}`, input, player })
 })
 
+// Admin hooks into live rooms and sockets, used by the /api/admin router
+const adminControls = {
+  listMatches: () =>
+    listRooms().map((summary) => {
+      const room = getRoom(summary.name)
+      return {
+        ...summary,
+        ranked: Boolean(room.ranked),
+        startedAt: room.startedAt,
+        maze: room.state.maze,
+        level: room.state.level,
+        rules: room.state.rules.preset,
+        seats: describeSeats(room),
+        players: [1, 2].map((seat) => ({
+          seat,
+          name: room.state[`player${seat}`].name,
+          score: room.state[`player${seat}`].score,
+          lives: room.state[`player${seat}`].lives,
+        })),
+        pause: describePause(room),
+      }
+    }),
+
+  listSockets: () =>
+    Array.from(io.sockets.sockets.values()).map((socket) => {
+      const room = socket.data.room ? getRoom(socket.data.room) : null
+      return {
+        id: socket.id,
+        address: socket.handshake.address,
+        connectedAt: new Date(socket.handshake.issued),
+        room: socket.data.room || null,
+        role: socket.data.role || null,
+        seat: room ? findSeat(room, socket.id) : null,
+        player: socket.data.player ? socket.data.player.name : null,
+        bridge: Boolean(getBridge(socket.id)),
+      }
+    }),
+
+  listBridges: () => listBridges(),
+
+  endMatch: (name, winnerSeat) => {
+    const room = getRoom(name)
+    if (!room) return { status: 404, error: "Room not found" }
+    if (room.status !== "playing" && room.status !== "paused") {
+      return { status: 409, error: "No match in progress" }
+    }
+
+    logger.warn("Match ended by admin", { room: room.name, winnerSeat })
+    endMatch(room, "admin-ended", winnerSeat)
+    return { success: true }
+  },
+
+  // Drop the running match without saving it and put a fresh board up
+  resetMatch: (name) => {
+    const room = getRoom(name)
+    if (!room) return { status: 404, error: "Room not found" }
+
+    const previousStatus = room.status
+    if (room.loop) {
+      clearInterval(room.loop)
+      room.loop = null
+    }
+    clearPause(room)
+
+    room.state = createGameState()
+    room.recorder = null
+    room.inputs = {}
+    room.status = "waiting"
+
+    logger.warn("Room reset by admin", { room: room.name, previousStatus })
+    broadcastSnapshot(room)
+    emitToRoom(room, "game-reset", { room: room.name })
+    return { success: true, previousStatus }
+  },
+
+  kickSocket: (id, reason) => {
+    const socket = io.sockets.sockets.get(id)
+    if (!socket) return false
+
+    logger.warn("Socket kicked by admin", { socketId: id, reason })
+    socket.emit("kicked", { reason })
+    socket.disconnect(true)
+    return true
+  },
+}
+
+app.use("/api/admin", createAdminRouter(adminControls))
+
 // Export for Vercel
 module.exports = app
 
@@ -677,6 +1353,6 @@ module.exports = app
 if (require.main === module) {
   const PORT = process.env.PORT || 3001
   server.listen(PORT, () => {
-    console.log(`🚀 Server running on port ${PORT}`)
+    logger.info("Server running", { port: Number(PORT) })
   })
 }
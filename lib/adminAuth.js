@@ -0,0 +1,27 @@
+const crypto = require("crypto")
+const { bearerToken } = require("./playerAuth")
+
+// Admin-only endpoints (the admin API, Arduino remapping and manual presses) are
+// only enabled when ADMIN_TOKEN is set; requests must send it as
+// "Authorization: Bearer <token>"
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null
+
+function isAdminToken(token) {
+  if (!ADMIN_TOKEN || typeof token !== "string") return false
+
+  const expected = Buffer.from(ADMIN_TOKEN)
+  const actual = Buffer.from(token)
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual)
+}
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(503).json({ error: "Admin API is not configured" })
+  }
+  if (!isAdminToken(bearerToken(req.get("authorization")))) {
+    return res.status(401).json({ error: "Missing or invalid admin token" })
+  }
+  next()
+}
+
+module.exports = { requireAdmin }
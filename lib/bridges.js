@@ -0,0 +1,123 @@
+const crypto = require("crypto")
+
+// Arduino bridge registry. Bridges authenticate with a per-device key
+// (ARDUINO_DEVICE_KEYS="cabinet-1:key1,cabinet-2:key2") or the shared
+// ARDUINO_BRIDGE_SECRET, and must keep sending heartbeats to stay registered.
+// Unauthenticated bridges are refused unless ALLOW_UNAUTHENTICATED_BRIDGES=true.
+const BRIDGE_SECRET = process.env.ARDUINO_BRIDGE_SECRET || null
+const DEVICE_KEYS = parseDeviceKeys(process.env.ARDUINO_DEVICE_KEYS)
+const ALLOW_UNAUTHENTICATED = process.env.ALLOW_UNAUTHENTICATED_BRIDGES === "true"
+const HEARTBEAT_TIMEOUT_MS = Number.parseInt(process.env.BRIDGE_HEARTBEAT_TIMEOUT_MS) || 15000
+
+const bridges = new Map()
+
+function parseDeviceKeys(value) {
+  const keys = new Map()
+  if (!value) return keys
+
+  value.split(",").forEach((entry) => {
+    const [deviceId, key] = entry.split(":").map((part) => part && part.trim())
+    if (deviceId && key) keys.set(deviceId, key)
+  })
+
+  return keys
+}
+
+function safeEqual(a, b) {
+  if (typeof a !== "string" || typeof b !== "string") return false
+
+  const expected = Buffer.from(a)
+  const actual = Buffer.from(b)
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual)
+}
+
+// Without any credentials configured, bridges are only accepted when explicitly allowed
+function authenticateBridge({ deviceId, key, secret } = {}) {
+  if (deviceId && DEVICE_KEYS.has(deviceId)) {
+    return safeEqual(DEVICE_KEYS.get(deviceId), key) ? { method: "device-key" } : { error: "Invalid device key" }
+  }
+
+  if (BRIDGE_SECRET) {
+    return safeEqual(BRIDGE_SECRET, secret) ? { method: "shared-secret" } : { error: "Invalid bridge secret" }
+  }
+
+  if (DEVICE_KEYS.size > 0) {
+    return { error: "Unknown device" }
+  }
+
+  if (!ALLOW_UNAUTHENTICATED) {
+    return { error: "Bridge authentication is not configured" }
+  }
+
+  return { method: "none" }
+}
+
+function isValidSeatList(seats) {
+  return Array.isArray(seats) && seats.length > 0 && seats.every((seat) => seat === 1 || seat === 2)
+}
+
+function registerBridge(socketId, { deviceId, seats, room, firmware, device, method }) {
+  const now = new Date()
+  const bridge = {
+    socketId,
+    deviceId: deviceId || socketId,
+    seats: Array.from(new Set(seats)).sort(),
+    room,
+    firmware: firmware || null,
+    device: device || null,
+    auth: method,
+    connectedAt: now,
+    lastHeartbeat: now,
+  }
+
+  bridges.set(socketId, bridge)
+  return bridge
+}
+
+function touchBridge(socketId, now = new Date()) {
+  const bridge = bridges.get(socketId)
+  if (bridge) bridge.lastHeartbeat = now
+  return bridge || null
+}
+
+function getBridge(socketId) {
+  return bridges.get(socketId) || null
+}
+
+function removeBridge(socketId) {
+  return bridges.delete(socketId)
+}
+
+function staleBridges(now = Date.now()) {
+  return Array.from(bridges.values()).filter((bridge) => now - bridge.lastHeartbeat > HEARTBEAT_TIMEOUT_MS)
+}
+
+function bridgeCount() {
+  return bridges.size
+}
+
+function listBridges() {
+  return Array.from(bridges.values()).map((bridge) => ({
+    deviceId: bridge.deviceId,
+    room: bridge.room,
+    seats: bridge.seats,
+    firmware: bridge.firmware,
+    device: bridge.device,
+    auth: bridge.auth,
+    connectedAt: bridge.connectedAt,
+    lastHeartbeat: bridge.lastHeartbeat,
+  }))
+}
+
+module.exports = {
+  HEARTBEAT_TIMEOUT_MS,
+  authenticateBridge,
+  isValidSeatList,
+  registerBridge,
+  touchBridge,
+  getBridge,
+  removeBridge,
+  staleBridges,
+  bridgeCount,
+  listBridges,
+}
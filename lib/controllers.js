@@ -0,0 +1,49 @@
+// Controller-to-seat mapping for physical joysticks behind Arduino bridges.
+// Seeded from ARDUINO_CONTROLLER_MAP="joystick-a:1,joystick-b:2" and
+// editable at runtime through PUT /api/arduino/mapping.
+const CONTROLLER_ID_PATTERN = /^[\w.-]{1,64}$/
+
+let mapping = parseMapping(process.env.ARDUINO_CONTROLLER_MAP)
+
+function parseMapping(value) {
+  const parsed = {}
+  if (!value) return parsed
+
+  value.split(",").forEach((entry) => {
+    const [controller, seat] = entry.split(":").map((part) => part && part.trim())
+    if (CONTROLLER_ID_PATTERN.test(controller || "") && (seat === "1" || seat === "2")) {
+      parsed[controller] = Number(seat)
+    }
+  })
+
+  return parsed
+}
+
+function getMapping() {
+  return { ...mapping }
+}
+
+function seatForController(controller) {
+  return Object.hasOwn(mapping, controller) ? mapping[controller] : null
+}
+
+// Replace the whole mapping; returns an error message when it is invalid
+function setMapping(next) {
+  if (!next || typeof next !== "object" || Array.isArray(next)) {
+    return { error: "Mapping must be an object of controller ids to seats" }
+  }
+
+  for (const [controller, seat] of Object.entries(next)) {
+    if (!CONTROLLER_ID_PATTERN.test(controller)) {
+      return { error: `Invalid controller id: ${controller}` }
+    }
+    if (seat !== 1 && seat !== 2) {
+      return { error: `Seat for ${controller} must be 1 or 2` }
+    }
+  }
+
+  mapping = { ...next }
+  return { mapping: getMapping() }
+}
+
+module.exports = { getMapping, seatForController, setMapping }
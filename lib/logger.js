@@ -0,0 +1,37 @@
+// Structured logging: one JSON object per line with level, time and message,
+// plus context fields such as room, matchId or socketId. LOG_LEVEL sets the
+// lowest level written (debug, info, warn or error; info by default).
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 }
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] || LEVELS.info
+
+// Errors don't survive JSON.stringify, so keep their message and stack
+function serializeFields(fields) {
+  const result = {}
+  for (const [key, value] of Object.entries(fields)) {
+    result[key] = value instanceof Error ? { name: value.name, message: value.message, stack: value.stack } : value
+  }
+  return result
+}
+
+function createLogger(bindings = {}) {
+  function write(level, msg, fields = {}) {
+    if (LEVELS[level] < MIN_LEVEL) return
+
+    const line = JSON.stringify({ level, time: new Date().toISOString(), msg, ...bindings, ...serializeFields(fields) })
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout
+    stream.write(`${line}\n`)
+  }
+
+  return {
+    debug: (msg, fields) => write("debug", msg, fields),
+    info: (msg, fields) => write("info", msg, fields),
+    warn: (msg, fields) => write("warn", msg, fields),
+    error: (msg, fields) => write("error", msg, fields),
+    // Logger that adds the given fields to every line
+    child: (fields) => createLogger({ ...bindings, ...fields }),
+  }
+}
+
+const logger = createLogger()
+
+module.exports = { logger, createLogger }
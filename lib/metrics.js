@@ -0,0 +1,128 @@
+// Prometheus metrics kept in memory and rendered in the text exposition format
+// for GET /metrics. Gauges are read from a callback when the endpoint is scraped.
+const registry = new Map()
+
+const SECONDS_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5]
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`)
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : ""
+}
+
+// Series are keyed by their label set so each combination is counted separately
+function seriesKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)))
+}
+
+function register(name, help, type, render) {
+  if (registry.has(name)) {
+    throw new Error(`Metric already registered: ${name}`)
+  }
+  registry.set(name, { name, help, type, render })
+}
+
+// Metrics without labels start at zero so they are exported before their first update
+function counter(name, help, { labelNames = [] } = {}) {
+  const series = new Map()
+  if (labelNames.length === 0) series.set(seriesKey({}), { labels: {}, value: 0 })
+
+  register(name, help, "counter", () =>
+    Array.from(series.values()).map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`),
+  )
+
+  return {
+    inc(labels = {}, amount = 1) {
+      const key = seriesKey(labels)
+      const entry = series.get(key) || { labels, value: 0 }
+      entry.value += amount
+      series.set(key, entry)
+    },
+  }
+}
+
+// collect() returns a number, or a list of { labels, value } for labelled gauges
+function gauge(name, help, collect) {
+  register(name, help, "gauge", () => {
+    const value = collect()
+    const samples = Array.isArray(value) ? value : [{ labels: {}, value }]
+    return samples.map((sample) => `${name}${formatLabels(sample.labels)} ${sample.value}`)
+  })
+}
+
+function histogram(name, help, { buckets = SECONDS_BUCKETS, labelNames = [] } = {}) {
+  const series = new Map()
+  if (labelNames.length === 0) {
+    series.set(seriesKey({}), { labels: {}, counts: buckets.map(() => 0), sum: 0, count: 0 })
+  }
+
+  register(name, help, "histogram", () =>
+    Array.from(series.values()).flatMap(({ labels, counts, sum, count }) => [
+      ...buckets.map((le, index) => `${name}_bucket${formatLabels({ ...labels, le })} ${counts[index]}`),
+      `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+      `${name}_sum${formatLabels(labels)} ${sum}`,
+      `${name}_count${formatLabels(labels)} ${count}`,
+    ]),
+  )
+
+  return {
+    observe(labels, value) {
+      const key = seriesKey(labels)
+      const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 }
+      buckets.forEach((le, index) => {
+        if (value <= le) entry.counts[index]++
+      })
+      entry.sum += value
+      entry.count++
+      series.set(key, entry)
+    },
+  }
+}
+
+function renderMetrics() {
+  const lines = []
+  for (const metric of registry.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.render())
+  }
+  return `${lines.join("\n")}\n`
+}
+
+const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8"
+
+// Metrics recorded by the game loop, socket handlers and routes
+const tickDuration = histogram("pacman_tick_duration_seconds", "Time spent running one game loop tick", {
+  buckets: [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25],
+})
+const tickOverruns = counter(
+  "pacman_tick_overruns_total",
+  "Game loop ticks that started more than half a tick late or ran longer than the tick",
+)
+const socketEvents = counter("pacman_socket_events_total", "Socket.IO events received from clients, by event type", {
+  labelNames: ["event"],
+})
+const leaderboardLatency = histogram(
+  "pacman_leaderboard_request_duration_seconds",
+  "Leaderboard API response time, by method, route and status",
+  { labelNames: ["method", "route", "status"] },
+)
+const saveFailures = counter(
+  "pacman_mongo_save_failures_total",
+  "Storage writes that failed, by operation (MongoDB when connected, otherwise the storage file)",
+  { labelNames: ["operation"] },
+)
+
+module.exports = {
+  METRICS_CONTENT_TYPE,
+  counter,
+  gauge,
+  histogram,
+  renderMetrics,
+  tickDuration,
+  tickOverruns,
+  socketEvents,
+  leaderboardLatency,
+  saveFailures,
+}
@@ -0,0 +1,84 @@
+const crypto = require("crypto")
+const { promisify } = require("util")
+
+// Player accounts: scrypt password hashes and signed bearer tokens. Without
+// PLAYER_TOKEN_SECRET a random secret is used, so logins do not survive a
+// server restart.
+const SECRET = process.env.PLAYER_TOKEN_SECRET || crypto.randomBytes(32).toString("hex")
+const TOKEN_TTL_MS = Number.parseInt(process.env.PLAYER_TOKEN_TTL_MS) || 30 * 24 * 60 * 60 * 1000
+const NAME_PATTERN = /^[\p{L}\p{N}_.\- ]{3,24}$/u
+const MIN_PASSWORD_LENGTH = 8
+
+// Hashing runs on the libuv thread pool so logins don't stall the game loops
+const scrypt = promisify(crypto.scrypt)
+
+function validateCredentials(name, password) {
+  if (typeof name !== "string" || !NAME_PATTERN.test(name.trim())) {
+    return "Name must be 3 to 24 letters, digits, spaces, dots, dashes or underscores"
+  }
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+  }
+  return null
+}
+
+// Stored as "salt:hash", both hex
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex")
+  const hash = (await scrypt(password, salt, 64)).toString("hex")
+  return `${salt}:${hash}`
+}
+
+async function verifyPassword(password, stored) {
+  const [salt, hash] = String(stored).split(":")
+  if (!salt || !hash || typeof password !== "string") return false
+
+  const expected = Buffer.from(hash, "hex")
+  const actual = await scrypt(password, salt, 64)
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual)
+}
+
+function sign(payload) {
+  return crypto.createHmac("sha256", SECRET).update(payload).digest("base64url")
+}
+
+function signPlayerToken(player, now = Date.now()) {
+  const payload = Buffer.from(
+    JSON.stringify({ id: String(player._id), name: player.name, exp: now + TOKEN_TTL_MS }),
+  ).toString("base64url")
+  return `${payload}.${sign(payload)}`
+}
+
+// Returns { id, name } for a valid, unexpired token, otherwise null
+function verifyPlayerToken(token, now = Date.now()) {
+  if (typeof token !== "string") return null
+
+  const [payload, signature] = token.split(".")
+  if (!payload || !signature) return null
+
+  const expected = Buffer.from(sign(payload))
+  const actual = Buffer.from(signature)
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null
+
+  try {
+    const { id, name, exp } = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"))
+    return exp > now ? { id, name } : null
+  } catch {
+    return null
+  }
+}
+
+// Bearer token from an Authorization header
+function bearerToken(header) {
+  const match = /^Bearer (.+)$/.exec(header || "")
+  return match ? match[1] : null
+}
+
+module.exports = {
+  validateCredentials,
+  hashPassword,
+  verifyPassword,
+  signPlayerToken,
+  verifyPlayerToken,
+  bearerToken,
+}
@@ -0,0 +1,10 @@
+// Case-folded identity for a player name, so "Ana", " ana " and "ANA" are one player
+function playerNameKey(name) {
+  return String(name).normalize("NFKC").trim().replace(/\s+/g, " ").toLowerCase()
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+}
+
+module.exports = { playerNameKey, escapeRegExp }
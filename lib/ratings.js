@@ -0,0 +1,17 @@
+// Elo ratings: everyone starts at DEFAULT_RATING and each ranked match moves
+// both players by up to K_FACTOR points, depending on how expected the result was
+const DEFAULT_RATING = 1200
+const K_FACTOR = 32
+
+function expectedScore(rating, opponentRating) {
+  return 1 / (1 + 10 ** ((opponentRating - rating) / 400))
+}
+
+// New ratings for seats 1 and 2; a null winnerSeat is a draw
+function rateMatch(rating1, rating2, winnerSeat) {
+  const actual1 = winnerSeat === 1 ? 1 : winnerSeat === 2 ? 0 : 0.5
+  const change = Math.round(K_FACTOR * (actual1 - expectedScore(rating1, rating2)))
+  return [rating1 + change, rating2 - change]
+}
+
+module.exports = { DEFAULT_RATING, K_FACTOR, expectedScore, rateMatch }
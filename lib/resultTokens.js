@@ -0,0 +1,20 @@
+const crypto = require("crypto")
+
+// Signed result tokens let a seat claim its final score after game over.
+// Without RESULT_TOKEN_SECRET a random secret is used, so tokens do not
+// survive a server restart.
+const SECRET = process.env.RESULT_TOKEN_SECRET || crypto.randomBytes(32).toString("hex")
+
+function signResult(matchId, seat, score) {
+  return crypto.createHmac("sha256", SECRET).update(`${matchId}:${seat}:${score}`).digest("hex")
+}
+
+function verifyResult(matchId, seat, score, token) {
+  if (typeof token !== "string") return false
+
+  const expected = Buffer.from(signResult(matchId, seat, score))
+  const actual = Buffer.from(token)
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual)
+}
+
+module.exports = { signResult, verifyResult }
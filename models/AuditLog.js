@@ -0,0 +1,30 @@
+const mongoose = require("mongoose")
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  reason: {
+    type: String,
+    default: null,
+  },
+  ip: {
+    type: String,
+    default: null,
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  date: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+// Index for listing recent entries by action
+auditLogSchema.index({ action: 1, date: -1 })
+
+module.exports = mongoose.model("AuditLog", auditLogSchema)
@@ -0,0 +1,32 @@
+const mongoose = require("mongoose")
+const { playerNameKey } = require("../lib/playerNames")
+
+// Player names hidden from the leaderboard and barred from submitting scores
+const banSchema = new mongoose.Schema({
+  playerName: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  playerNameKey: {
+    type: String,
+    unique: true,
+  },
+  reason: {
+    type: String,
+    default: null,
+  },
+  date: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+banSchema.pre("validate", function (next) {
+  if (this.playerName) {
+    this.playerNameKey = playerNameKey(this.playerName)
+  }
+  next()
+})
+
+module.exports = mongoose.model("Ban", banSchema)
@@ -0,0 +1,130 @@
+const mongoose = require("mongoose")
+const { DIFFICULTIES } = require("../game/bot")
+
+const matchPlayerSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    // Normalized name used for history lookups, kept in sync with name
+    nameKey: {
+      type: String,
+      default: "",
+    },
+    score: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    lives: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    scoreId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Score",
+      default: null,
+    },
+    // Account that played this seat, null for guests and bots
+    playerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Player",
+      default: null,
+    },
+    // Bot difficulty when an AI played this seat
+    bot: {
+      type: String,
+      enum: [...Object.keys(DIFFICULTIES), null],
+      default: null,
+    },
+  },
+  { _id: false },
+)
+
+const matchRulesSchema = new mongoose.Schema(
+  {
+    preset: String,
+    tickMs: Number,
+    startingLives: Number,
+    invulnerabilityMs: Number,
+    powerModeMs: Number,
+    points: {
+      dot: Number,
+      powerPellet: Number,
+      ghost: Number,
+    },
+  },
+  { _id: false },
+)
+
+const matchSchema = new mongoose.Schema({
+  room: {
+    type: String,
+    trim: true,
+  },
+  player1: {
+    type: matchPlayerSchema,
+    required: true,
+  },
+  player2: {
+    type: matchPlayerSchema,
+    required: true,
+  },
+  // Seat of the winner (1 or 2), null for a draw
+  winnerSeat: {
+    type: Number,
+    enum: [1, 2],
+    default: null,
+  },
+  winner: {
+    type: String,
+    default: null,
+  },
+  endReason: {
+    type: String,
+    enum: ["all-dots", "both-dead", "one-dead", "forfeit", "abandoned", "admin-ended"],
+    required: true,
+  },
+  maze: {
+    type: String,
+    required: true,
+  },
+  level: {
+    type: Number,
+    default: 1,
+  },
+  // Rules the match was played with (see game/rules.js)
+  rules: {
+    type: matchRulesSchema,
+    default: null,
+  },
+  duration: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  startedAt: {
+    type: Date,
+    required: true,
+  },
+  endedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Compact input log for re-simulating the match (see game/replay.js)
+  replay: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+    select: false,
+  },
+})
+
+// Indexes for match history lookups
+matchSchema.index({ endedAt: -1 })
+matchSchema.index({ "player1.nameKey": 1, endedAt: -1 })
+matchSchema.index({ "player2.nameKey": 1, endedAt: -1 })
+
+module.exports = mongoose.model("Match", matchSchema)
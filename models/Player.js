@@ -0,0 +1,33 @@
+const mongoose = require("mongoose")
+const { playerNameKey } = require("../lib/playerNames")
+
+const playerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Names are unique per normalized key, so "Ana" and "ana" are one account
+  nameKey: {
+    type: String,
+    unique: true,
+  },
+  // scrypt "salt:hash" (see lib/playerAuth.js)
+  passwordHash: {
+    type: String,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+playerSchema.pre("validate", function (next) {
+  if (this.name) {
+    this.nameKey = playerNameKey(this.name)
+  }
+  next()
+})
+
+module.exports = mongoose.model("Player", playerSchema)
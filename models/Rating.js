@@ -0,0 +1,53 @@
+const mongoose = require("mongoose")
+const { playerNameKey } = require("../lib/playerNames")
+const { DEFAULT_RATING } = require("../lib/ratings")
+
+const ratingSchema = new mongoose.Schema({
+  playerName: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // One rating per normalized name (see lib/playerNames.js)
+  playerNameKey: {
+    type: String,
+    unique: true,
+  },
+  rating: {
+    type: Number,
+    default: DEFAULT_RATING,
+  },
+  games: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  wins: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  losses: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  draws: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+ratingSchema.pre("validate", function (next) {
+  if (this.playerName) {
+    this.playerNameKey = playerNameKey(this.playerName)
+  }
+  next()
+})
+
+module.exports = mongoose.model("Rating", ratingSchema)
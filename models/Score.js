@@ -1,4 +1,6 @@
 const mongoose = require("mongoose")
+const { playerNameKey } = require("../lib/playerNames")
+const { DIFFICULTIES } = require("../game/bot")
 
 const scoreSchema = new mongoose.Schema({
   playerName: {
@@ -6,6 +8,11 @@ const scoreSchema = new mongoose.Schema({
     required: true,
     trim: true,
   },
+  // Normalized name used for lookups, kept in sync with playerName
+  playerNameKey: {
+    type: String,
+    index: true,
+  },
   score: {
     type: Number,
     required: true,
@@ -15,6 +22,34 @@ const scoreSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
+  match: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Match",
+    default: null,
+  },
+  // Account that set this score; scores without one were played as a guest or a bot
+  player: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Player",
+    default: null,
+  },
+  guest: {
+    type: Boolean,
+    default: true,
+  },
+  // Difficulty of the AI opponent that set this score, null for humans
+  bot: {
+    type: String,
+    enum: [...Object.keys(DIFFICULTIES), null],
+    default: null,
+  },
+})
+
+scoreSchema.pre("validate", function (next) {
+  if (this.playerName) {
+    this.playerNameKey = playerNameKey(this.playerName)
+  }
+  next()
 })
 
 // Index for better query performance
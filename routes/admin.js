@@ -0,0 +1,222 @@
+const express = require("express")
+const mongoose = require("mongoose")
+const { getStorage } = require("../storage")
+const { requireAdmin } = require("../lib/adminAuth")
+const { logger } = require("../lib/logger")
+
+// Admin API. Live matches and sockets belong to the server in index.js, so it
+// passes in the hooks used here; every action is written to the audit log.
+function createAdminRouter(controls) {
+  const router = express.Router()
+  router.use(requireAdmin)
+
+  async function audit(req, action, details) {
+    const storage = await getStorage()
+    await storage.audit.record({ action: `admin:${action}`, ip: req.ip, details })
+  }
+
+  // GET /api/admin/matches - Live rooms with their players, scores and status
+  router.get("/matches", (req, res) => {
+    res.json(controls.listMatches())
+  })
+
+  // GET /api/admin/sockets - Connected sockets with their room, role and seat
+  router.get("/sockets", (req, res) => {
+    res.json(controls.listSockets())
+  })
+
+  // GET /api/admin/bridges - Registered Arduino bridges
+  router.get("/bridges", (req, res) => {
+    res.json(controls.listBridges())
+  })
+
+  // POST /api/admin/rooms/:name/end - Force-end a running match, optionally naming the winner
+  router.post("/rooms/:name/end", async (req, res) => {
+    try {
+      const winnerSeat = req.body.winnerSeat === undefined ? null : req.body.winnerSeat
+      if (winnerSeat !== null && winnerSeat !== 1 && winnerSeat !== 2) {
+        return res.status(400).json({ error: "Winner seat must be 1, 2 or null" })
+      }
+
+      const result = controls.endMatch(req.params.name, winnerSeat)
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error })
+      }
+
+      await audit(req, "end-match", { room: req.params.name, winnerSeat })
+      res.json({ success: true, room: req.params.name, winnerSeat })
+    } catch (error) {
+      logger.error("Error ending match", { room: req.params.name, error })
+      res.status(500).json({ error: "Failed to end match" })
+    }
+  })
+
+  // POST /api/admin/rooms/:name/reset - Stop a match without saving it and clear the board
+  router.post("/rooms/:name/reset", async (req, res) => {
+    try {
+      const result = controls.resetMatch(req.params.name)
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error })
+      }
+
+      await audit(req, "reset-match", { room: req.params.name, status: result.previousStatus })
+      res.json({ success: true, room: req.params.name })
+    } catch (error) {
+      logger.error("Error resetting match", { room: req.params.name, error })
+      res.status(500).json({ error: "Failed to reset match" })
+    }
+  })
+
+  // POST /api/admin/sockets/:id/kick - Disconnect a socket
+  router.post("/sockets/:id/kick", async (req, res) => {
+    try {
+      const reason = typeof req.body.reason === "string" ? req.body.reason : null
+
+      if (!controls.kickSocket(req.params.id, reason)) {
+        return res.status(404).json({ error: "Socket not found" })
+      }
+
+      await audit(req, "kick", { socketId: req.params.id, reason })
+      res.json({ success: true, socketId: req.params.id })
+    } catch (error) {
+      logger.error("Error kicking socket", { socketId: req.params.id, error })
+      res.status(500).json({ error: "Failed to kick socket" })
+    }
+  })
+
+  // PATCH /api/admin/scores/:id - Correct a score's player name and/or value
+  router.patch("/scores/:id", async (req, res) => {
+    try {
+      const { playerName, score } = req.body
+      const fields = {}
+
+      if (playerName !== undefined) {
+        if (typeof playerName !== "string" || !playerName.trim()) {
+          return res.status(400).json({ error: "Player name must be a non-empty string" })
+        }
+        fields.playerName = playerName.trim()
+      }
+      if (score !== undefined) {
+        if (!Number.isInteger(score) || score < 0) {
+          return res.status(400).json({ error: "Score must be a non-negative integer" })
+        }
+        fields.score = score
+      }
+      if (Object.keys(fields).length === 0) {
+        return res.status(400).json({ error: "Nothing to update" })
+      }
+
+      const storage = await getStorage()
+      const before = mongoose.isValidObjectId(req.params.id) ? await storage.scores.findById(req.params.id) : null
+      if (!before) {
+        return res.status(404).json({ error: "Score not found" })
+      }
+
+      const updated = await storage.scores.update(req.params.id, fields)
+
+      await audit(req, "update-score", {
+        scoreId: req.params.id,
+        before: { playerName: before.playerName, score: before.score },
+        after: fields,
+      })
+      res.json(updated)
+    } catch (error) {
+      logger.error("Error updating score", { scoreId: req.params.id, error })
+      res.status(500).json({ error: "Failed to update score" })
+    }
+  })
+
+  // DELETE /api/admin/scores/:id - Delete a score and unlink it from its match
+  router.delete("/scores/:id", async (req, res) => {
+    try {
+      const storage = await getStorage()
+      const removed = mongoose.isValidObjectId(req.params.id) ? await storage.scores.remove(req.params.id) : null
+
+      if (!removed) {
+        return res.status(404).json({ error: "Score not found" })
+      }
+
+      if (removed.match) {
+        const match = await storage.matches.findById(String(removed.match))
+        const seat = match && [1, 2].find((s) => String(match[`player${s}`].scoreId) === String(removed._id))
+        if (seat) await storage.matches.linkScore(match._id, seat, null)
+      }
+
+      await audit(req, "delete-score", {
+        scoreId: req.params.id,
+        playerName: removed.playerName,
+        score: removed.score,
+      })
+      res.json({ success: true, scoreId: req.params.id })
+    } catch (error) {
+      logger.error("Error deleting score", { scoreId: req.params.id, error })
+      res.status(500).json({ error: "Failed to delete score" })
+    }
+  })
+
+  // GET /api/admin/bans - Banned player names
+  router.get("/bans", async (req, res) => {
+    try {
+      const storage = await getStorage()
+      res.json(await storage.bans.list())
+    } catch (error) {
+      logger.error("Error fetching bans", { error })
+      res.status(500).json({ error: "Failed to fetch bans" })
+    }
+  })
+
+  // POST /api/admin/bans - Ban a player name from the leaderboard
+  router.post("/bans", async (req, res) => {
+    try {
+      const { playerName, reason = null } = req.body
+
+      if (typeof playerName !== "string" || !playerName.trim()) {
+        return res.status(400).json({ error: "Player name is required" })
+      }
+
+      const storage = await getStorage()
+      const ban = await storage.bans.add({ playerName: playerName.trim(), reason })
+
+      await audit(req, "ban", { playerName: ban.playerName, reason })
+      res.status(201).json(ban)
+    } catch (error) {
+      logger.error("Error banning player", { error })
+      res.status(500).json({ error: "Failed to ban player" })
+    }
+  })
+
+  // DELETE /api/admin/bans/:name - Lift a ban
+  router.delete("/bans/:name", async (req, res) => {
+    try {
+      const storage = await getStorage()
+
+      if (!(await storage.bans.remove(req.params.name))) {
+        return res.status(404).json({ error: "Ban not found" })
+      }
+
+      await audit(req, "unban", { playerName: req.params.name })
+      res.json({ success: true, playerName: req.params.name })
+    } catch (error) {
+      logger.error("Error lifting ban", { error })
+      res.status(500).json({ error: "Failed to lift ban" })
+    }
+  })
+
+  // GET /api/admin/audit?action= - Recent audit log entries
+  router.get("/audit", async (req, res) => {
+    try {
+      const limit = Math.min(500, Math.max(1, Number.parseInt(req.query.limit) || 50))
+      const action = typeof req.query.action === "string" ? req.query.action : null
+
+      const storage = await getStorage()
+      res.json(await storage.audit.recent({ action, limit }))
+    } catch (error) {
+      logger.error("Error fetching audit log", { error })
+      res.status(500).json({ error: "Failed to fetch audit log" })
+    }
+  })
+
+  return router
+}
+
+module.exports = { createAdminRouter }
@@ -0,0 +1,92 @@
+const express = require("express")
+const router = express.Router()
+const { getStorage } = require("../storage")
+const { logger } = require("../lib/logger")
+const {
+  validateCredentials,
+  hashPassword,
+  verifyPassword,
+  signPlayerToken,
+  verifyPlayerToken,
+  bearerToken,
+} = require("../lib/playerAuth")
+
+// Public view of an account, never including the password hash
+function publicPlayer(player) {
+  return { id: String(player._id), name: player.name, createdAt: player.createdAt }
+}
+
+// POST /api/auth/register - Create an account and log it in
+router.post("/register", async (req, res) => {
+  try {
+    const { name, password } = req.body
+    const error = validateCredentials(name, password)
+
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    const storage = await getStorage()
+    if (await storage.players.findByName(name)) {
+      return res.status(409).json({ error: "Name is already registered" })
+    }
+
+    const player = await storage.players.create({ name: name.trim(), passwordHash: await hashPassword(password) })
+
+    res.status(201).json({ player: publicPlayer(player), token: signPlayerToken(player) })
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: "Name is already registered" })
+    }
+    logger.error("Error registering player", { error })
+    res.status(500).json({ error: "Failed to register player" })
+  }
+})
+
+// POST /api/auth/login - Exchange a name and password for a player token
+router.post("/login", async (req, res) => {
+  try {
+    const { name, password } = req.body
+
+    if (typeof name !== "string" || typeof password !== "string") {
+      return res.status(400).json({ error: "Name and password are required" })
+    }
+
+    const storage = await getStorage()
+    const player = await storage.players.findByName(name)
+
+    if (!player || !(await verifyPassword(password, player.passwordHash))) {
+      return res.status(401).json({ error: "Invalid name or password" })
+    }
+
+    res.json({ player: publicPlayer(player), token: signPlayerToken(player) })
+  } catch (error) {
+    logger.error("Error logging in player", { error })
+    res.status(500).json({ error: "Failed to log in" })
+  }
+})
+
+// GET /api/auth/me - The account behind a bearer token
+router.get("/me", async (req, res) => {
+  try {
+    const session = verifyPlayerToken(bearerToken(req.get("authorization")))
+
+    if (!session) {
+      return res.status(401).json({ error: "Missing or invalid player token" })
+    }
+
+    const storage = await getStorage()
+    const player = await storage.players.findById(session.id)
+
+    if (!player) {
+      return res.status(401).json({ error: "Missing or invalid player token" })
+    }
+
+    res.json({ player: publicPlayer(player) })
+  } catch (error) {
+    logger.error("Error fetching player", { error })
+    res.status(500).json({ error: "Failed to fetch player" })
+  }
+})
+
+module.exports = router
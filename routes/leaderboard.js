@@ -1,66 +1,265 @@
 const express = require("express")
+const mongoose = require("mongoose")
 const router = express.Router()
-const Score = require("../models/Score")
+const { getStorage } = require("../storage")
+const { verifyResult } = require("../lib/resultTokens")
+const { verifyPlayerToken, bearerToken } = require("../lib/playerAuth")
+const { playerNameKey } = require("../lib/playerNames")
+const { logger } = require("../lib/logger")
+const { leaderboardLatency, saveFailures } = require("../lib/metrics")
 
-// GET /api/leaderboard - Get top scores
+const MAX_PAGE_SIZE = 100
+const DAY = 24 * 60 * 60 * 1000
+
+// Leaderboard time windows, counted back from now
+const PERIODS = {
+  daily: DAY,
+  weekly: 7 * DAY,
+  monthly: 30 * DAY,
+  all: null,
+}
+
+// Time every leaderboard response; routes are labelled by pattern to keep the series bounded
+router.use((req, res, next) => {
+  const startedAt = performance.now()
+  res.on("finish", () => {
+    leaderboardLatency.observe(
+      { method: req.method, route: req.route ? req.route.path : "unmatched", status: res.statusCode },
+      (performance.now() - startedAt) / 1000,
+    )
+  })
+  next()
+})
+
+// Result of a match from one player's point of view
+function matchResult(match, playerName) {
+  const seat = playerNameKey(match.player1.name) === playerNameKey(playerName) ? 1 : 2
+  const opponent = seat === 1 ? match.player2.name : match.player1.name
+
+  if (match.winnerSeat === null) return { result: "draw", opponent }
+  return { result: match.winnerSeat === seat ? "win" : "loss", opponent }
+}
+
+// Scores tied to an account are verified; the rest were played as guests or bots
+function withVerification(entry) {
+  return { ...entry, verified: Boolean(entry.player) }
+}
+
+// GET /api/leaderboard - Get a page of top scores, optionally per time window, per player best,
+// or only verified (verified=true) or guest (verified=false) entries
 router.get("/", async (req, res) => {
   try {
-    const limit = Number.parseInt(req.query.limit) || 10
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, Number.parseInt(req.query.limit) || 10))
+    const page = Math.max(1, Number.parseInt(req.query.page) || 1)
+    const period = req.query.period || "all"
+    const unique = req.query.unique === "true"
+    const verified = req.query.verified === undefined ? undefined : req.query.verified === "true"
 
-    const scores = await Score.find().sort({ score: -1, date: -1 }).limit(limit).select("playerName score date")
+    if (!Object.hasOwn(PERIODS, period)) {
+      return res.status(400).json({ error: `Period must be one of: ${Object.keys(PERIODS).join(", ")}` })
+    }
 
-    res.json(scores)
+    const since = PERIODS[period] ? new Date(Date.now() - PERIODS[period]) : null
+    const skip = (page - 1) * pageSize
+
+    const storage = await getStorage()
+    const excludeKeys = await storage.bans.keys()
+    const { total, entries } = await storage.scores.leaderboard({
+      since,
+      unique,
+      verified,
+      excludeKeys,
+      skip,
+      limit: pageSize,
+    })
+
+    res.json({
+      scores: entries.map((entry, index) => ({ ...withVerification(entry), rank: skip + index + 1 })),
+      page,
+      pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize),
+      period,
+      unique,
+      verified: verified === undefined ? null : verified,
+    })
   } catch (error) {
-    console.error("Error fetching leaderboard:", error)
+    logger.error("Error fetching leaderboard", { error })
     res.status(500).json({ error: "Failed to fetch leaderboard data" })
   }
 })
 
-// POST /api/leaderboard - Add new score
+// Record a rejected submission and answer with the reason
+async function rejectSubmission(req, res, status, reason, error) {
+  try {
+    const storage = await getStorage()
+    await storage.audit.record({
+      action: "score-rejected",
+      reason,
+      ip: req.ip,
+      details: { body: req.body },
+    })
+  } catch (auditError) {
+    logger.error("Error writing audit log", { error: auditError })
+  }
+
+  logger.warn("Score submission rejected", { reason, ip: req.ip, matchId: req.body.matchId, seat: req.body.seat })
+  return res.status(status).json({ error, reason })
+}
+
+// POST /api/leaderboard - Claim the score of a finished match with its result token
 router.post("/", async (req, res) => {
   try {
-    const { playerName, score } = req.body
+    const { matchId, seat, playerName, score, token } = req.body
 
-    if (!playerName || typeof score !== "number") {
-      return res.status(400).json({ error: "Player name and score are required" })
+    if (!matchId || typeof playerName !== "string" || !playerName.trim() || typeof score !== "number" || !token) {
+      return rejectSubmission(req, res, 400, "missing-fields", "Match id, player name, score and token are required")
     }
 
-    const newScore = new Score({
-      playerName: playerName.trim(),
-      score: Math.max(0, score), // Ensure score is not negative
-      date: new Date(),
-    })
+    if (seat !== 1 && seat !== 2) {
+      return rejectSubmission(req, res, 400, "invalid-seat", "Seat must be 1 or 2")
+    }
+
+    const storage = await getStorage()
+    const match = mongoose.isValidObjectId(matchId) ? await storage.matches.findById(String(matchId)) : null
+
+    if (!match) {
+      return rejectSubmission(req, res, 404, "unknown-match", "Match not found")
+    }
+
+    const recorded = match[`player${seat}`]
+
+    // Check the token first so the recorded score is never confirmed to callers without one
+    if (!verifyResult(String(match._id), seat, score, token)) {
+      return rejectSubmission(req, res, 403, "invalid-token", "Result token is not valid for this score")
+    }
+
+    if (recorded.score !== score) {
+      return rejectSubmission(req, res, 403, "score-mismatch", "Score does not match the recorded result")
+    }
+
+    // Names of guest seats were checked against accounts at match start, so an unnamed seat can't pick one now
+    if (!recorded.name) {
+      return rejectSubmission(req, res, 403, "unnamed-seat", "This seat was played without a name and can't be claimed")
+    }
+
+    if (recorded.name !== playerName.trim()) {
+      return rejectSubmission(req, res, 403, "name-mismatch", "Player name does not match the recorded result")
+    }
+
+    // Seats played by an account can only be claimed by that account
+    if (recorded.playerId) {
+      const session = verifyPlayerToken(bearerToken(req.get("authorization")))
+      if (!session || session.id !== String(recorded.playerId)) {
+        return rejectSubmission(req, res, 403, "not-owner", "Log in as the player who set this score")
+      }
+    }
+
+    if ((await storage.bans.keys()).includes(playerNameKey(playerName))) {
+      return rejectSubmission(req, res, 403, "banned", "This player name is banned from the leaderboard")
+    }
+
+    // Reserve the seat before saving so concurrent claims can't both create a score
+    const scoreId = await storage.matches.reserveScore(match._id, seat)
+    if (!scoreId) {
+      return rejectSubmission(req, res, 409, "already-submitted", "Score for this seat was already saved")
+    }
 
-    await newScore.save()
+    let newScore
+    try {
+      newScore = await storage.scores.create({
+        _id: scoreId,
+        playerName: playerName.trim(),
+        score: recorded.score,
+        date: new Date(),
+        match: match._id,
+        player: recorded.playerId || null,
+        guest: !recorded.playerId && !recorded.bot,
+        bot: recorded.bot || null,
+      })
+    } catch (error) {
+      await storage.matches.releaseScore(match._id, seat, scoreId)
+      throw error
+    }
+    logger.info("Score saved", { matchId: String(match._id), seat, scoreId: String(newScore._id) })
 
     res.status(201).json({
       message: "Score saved successfully",
       score: newScore,
     })
   } catch (error) {
-    console.error("Error saving score:", error)
+    saveFailures.inc({ operation: "score" })
+    logger.error("Error saving score", { matchId: req.body.matchId, error })
     res.status(500).json({ error: "Failed to save score" })
   }
 })
 
-// GET /api/leaderboard/player/:name - Get scores for specific player
+// GET /api/leaderboard/players?prefix= - Autocomplete player names by prefix
+router.get("/players", async (req, res) => {
+  try {
+    const prefix = typeof req.query.prefix === "string" ? req.query.prefix : ""
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, Number.parseInt(req.query.limit) || 10))
+
+    if (!prefix.trim()) {
+      return res.status(400).json({ error: "Prefix is required" })
+    }
+
+    const storage = await getStorage()
+    const players = await storage.scores.playersByPrefix(prefix, { limit })
+
+    res.json(players)
+  } catch (error) {
+    logger.error("Error searching players", { error })
+    res.status(500).json({ error: "Failed to search players" })
+  }
+})
+
+// GET /api/leaderboard/player/:name - Get scores for specific player (exact, case-insensitive name)
 router.get("/player/:name", async (req, res) => {
   try {
     const playerName = req.params.name
-    const limit = Number.parseInt(req.query.limit) || 10
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, Number.parseInt(req.query.limit) || 10))
 
-    const scores = await Score.find({
-      playerName: new RegExp(playerName, "i"),
-    })
-      .sort({ score: -1, date: -1 })
-      .limit(limit)
-      .select("playerName score date")
+    const storage = await getStorage()
+    const scores = await storage.scores.byPlayer(playerName, { limit })
 
-    res.json(scores)
+    res.json(scores.map(withVerification))
   } catch (error) {
-    console.error("Error fetching player scores:", error)
+    logger.error("Error fetching player scores", { playerName: req.params.name, error })
     res.status(500).json({ error: "Failed to fetch player scores" })
   }
 })
 
+// GET /api/leaderboard/player/:name/history - Get match history, record and head-to-head stats
+router.get("/player/:name/history", async (req, res) => {
+  try {
+    const playerName = req.params.name
+    const opponent = req.query.opponent
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, Number.parseInt(req.query.limit) || 10))
+
+    // Records are counted by the storage, so only the requested page of matches is loaded
+    const storage = await getStorage()
+    const [matches, record, headToHead] = await Promise.all([
+      storage.matches.byPlayer(playerName, { limit }),
+      storage.matches.record(playerName),
+      opponent ? storage.matches.record(playerName, { opponent: String(opponent) }) : null,
+    ])
+
+    const history = {
+      player: playerName,
+      record,
+      matches: matches.map((match) => ({ ...match, ...matchResult(match, playerName) })),
+    }
+
+    if (headToHead) {
+      history.headToHead = { opponent, ...headToHead }
+    }
+
+    res.json(history)
+  } catch (error) {
+    logger.error("Error fetching player history", { playerName: req.params.name, error })
+    res.status(500).json({ error: "Failed to fetch player history" })
+  }
+})
+
 module.exports = router
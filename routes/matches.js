@@ -0,0 +1,67 @@
+const express = require("express")
+const mongoose = require("mongoose")
+const router = express.Router()
+const { getStorage } = require("../storage")
+const { logger } = require("../lib/logger")
+
+const MAX_PAGE_SIZE = 100
+
+// GET /api/matches - Get most recent matches
+router.get("/", async (req, res) => {
+  try {
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, Number.parseInt(req.query.limit) || 10))
+
+    const storage = await getStorage()
+    const matches = await storage.matches.recent({ limit })
+
+    res.json(matches)
+  } catch (error) {
+    logger.error("Error fetching matches", { error })
+    res.status(500).json({ error: "Failed to fetch matches" })
+  }
+})
+
+// GET /api/matches/:id - Get a single match
+router.get("/:id", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid match id" })
+    }
+
+    const storage = await getStorage()
+    const match = await storage.matches.findById(req.params.id)
+
+    if (!match) {
+      return res.status(404).json({ error: "Match not found" })
+    }
+
+    res.json(match)
+  } catch (error) {
+    logger.error("Error fetching match", { matchId: req.params.id, error })
+    res.status(500).json({ error: "Failed to fetch match" })
+  }
+})
+
+// GET /api/matches/:id/replay - Download the replay log of a match
+router.get("/:id/replay", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid match id" })
+    }
+
+    const storage = await getStorage()
+    const replay = await storage.matches.replay(req.params.id)
+
+    if (!replay) {
+      return res.status(404).json({ error: "Replay not found" })
+    }
+
+    res.attachment(`match-${req.params.id}.replay.json`)
+    res.json(replay)
+  } catch (error) {
+    logger.error("Error fetching replay", { matchId: req.params.id, error })
+    res.status(500).json({ error: "Failed to fetch replay" })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,10 @@
+const express = require("express")
+const router = express.Router()
+const { listMazes } = require("../game/mazes")
+
+// GET /api/mazes - List available mazes in level order
+router.get("/", (req, res) => {
+  res.json(listMazes())
+})
+
+module.exports = router
@@ -0,0 +1,25 @@
+const express = require("express")
+const router = express.Router()
+const { getStorage } = require("../storage")
+const { DEFAULT_RATING } = require("../lib/ratings")
+const { logger } = require("../lib/logger")
+
+// GET /api/players/:name/rating - Get a player's Elo rating and ranked record
+router.get("/:name/rating", async (req, res) => {
+  try {
+    const playerName = req.params.name
+
+    const storage = await getStorage()
+    const rating = await storage.ratings.find(playerName)
+
+    // Players without ranked matches yet are reported at the starting rating
+    res.json(
+      rating || { playerName: playerName.trim(), rating: DEFAULT_RATING, games: 0, wins: 0, losses: 0, draws: 0 },
+    )
+  } catch (error) {
+    logger.error("Error fetching player rating", { playerName: req.params.name, error })
+    res.status(500).json({ error: "Failed to fetch player rating" })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,10 @@
+const express = require("express")
+const router = express.Router()
+const { listRooms } = require("../game/rooms")
+
+// GET /api/rooms - List open rooms with player count and status
+router.get("/", (req, res) => {
+  res.json(listRooms())
+})
+
+module.exports = router
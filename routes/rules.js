@@ -0,0 +1,10 @@
+const express = require("express")
+const router = express.Router()
+const { listPresets } = require("../game/rules")
+
+// GET /api/rules/presets - List the rules presets accepted by start-game
+router.get("/presets", (req, res) => {
+  res.json(listPresets())
+})
+
+module.exports = router
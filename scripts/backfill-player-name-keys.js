@@ -0,0 +1,77 @@
+// Backfill Score.playerNameKey and the match players' nameKey for documents
+// saved before those fields existed.
+// Usage: MONGODB_URI=... npm run migrate:player-name-keys
+const mongoose = require("mongoose")
+require("dotenv").config()
+
+const Score = require("../models/Score")
+const Match = require("../models/Match")
+const { playerNameKey } = require("../lib/playerNames")
+
+const BATCH_SIZE = 500
+
+// Stream the documents matching filter and apply the $set built for each one
+async function backfillModel(Model, filter, fields, buildSet) {
+  const cursor = Model.find(filter).select(fields).lean().cursor()
+
+  let batch = []
+  let updated = 0
+
+  for await (const document of cursor) {
+    batch.push({
+      updateOne: {
+        filter: { _id: document._id },
+        update: { $set: buildSet(document) },
+      },
+    })
+
+    if (batch.length === BATCH_SIZE) {
+      await Model.bulkWrite(batch)
+      updated += batch.length
+      batch = []
+    }
+  }
+
+  if (batch.length > 0) {
+    await Model.bulkWrite(batch)
+    updated += batch.length
+  }
+
+  return updated
+}
+
+function nameKey(name) {
+  return name ? playerNameKey(name) : ""
+}
+
+async function backfill() {
+  if (!process.env.MONGODB_URI) {
+    throw new Error("MONGODB_URI is required")
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI)
+  console.log("✅ MongoDB connected")
+
+  const scores = await backfillModel(Score, { playerNameKey: { $exists: false } }, "playerName", (score) => ({
+    playerNameKey: playerNameKey(score.playerName),
+  }))
+  console.log(`💾 Backfilled playerNameKey on ${scores} scores`)
+
+  const matches = await backfillModel(
+    Match,
+    { $or: [{ "player1.nameKey": { $exists: false } }, { "player2.nameKey": { $exists: false } }] },
+    "player1.name player2.name",
+    (match) => ({
+      "player1.nameKey": nameKey(match.player1.name),
+      "player2.nameKey": nameKey(match.player2.name),
+    }),
+  )
+  console.log(`💾 Backfilled nameKey on ${matches} matches`)
+}
+
+backfill()
+  .catch((error) => {
+    console.error("❌ Migration failed:", error)
+    process.exitCode = 1
+  })
+  .finally(() => mongoose.disconnect())
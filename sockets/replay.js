@@ -0,0 +1,177 @@
+const mongoose = require("mongoose")
+const { getStorage } = require("../storage")
+const { createPlayback, stepPlayback, seekPlayback } = require("../game/replay")
+const { createSync, diffState, snapshotMessage, deltaMessage } = require("../game/sync")
+const { logger } = require("../lib/logger")
+
+// Replay namespace: plays a recorded match back to one socket, re-simulated
+// on the server, with the same snapshot/delta messages as a live room
+const MIN_SPEED = 0.5
+const MAX_SPEED = 4
+
+// Long seeks are simulated a chunk at a time so live rooms keep ticking,
+// and each socket may only start a seek every SEEK_INTERVAL_MS
+const SEEK_CHUNK_TICKS = 100
+const SEEK_INTERVAL_MS = 250
+
+function registerReplayNamespace(io) {
+  const replays = io.of("/replay")
+
+  replays.on("connection", (socket) => {
+    let session = null
+    let lastSeekAt = 0
+
+    function stop() {
+      if (session && session.timer) {
+        clearTimeout(session.timer)
+        session.timer = null
+      }
+    }
+
+    function cancelSeek() {
+      if (session && session.seeking) {
+        clearImmediate(session.seeking.immediate)
+        session.seeking = null
+      }
+    }
+
+    function continueSeek() {
+      const { tick, resume } = session.seeking
+      if (!seekPlayback(session.playback, tick, SEEK_CHUNK_TICKS)) {
+        session.seeking.immediate = setImmediate(continueSeek)
+        return
+      }
+
+      session.seeking = null
+      sendSnapshot()
+      if (resume) scheduleNext()
+      sendStatus()
+    }
+
+    function sendSnapshot() {
+      session.sync.seq++
+      session.sync.last = session.playback.state
+      socket.emit("game-snapshot", { ...snapshotMessage(session.sync, session.playback.state), tick: session.playback.tick })
+    }
+
+    function sendStatus() {
+      socket.emit("replay-status", {
+        tick: session.playback.tick,
+        ticks: session.playback.replay.ticks,
+        speed: session.speed,
+        playing: session.timer !== null,
+      })
+    }
+
+    function scheduleNext() {
+      const { playback, speed } = session
+
+      if (playback.tick >= playback.replay.ticks) {
+        stop()
+        sendStatus()
+        return socket.emit("replay-ended", { tick: playback.tick })
+      }
+
+      session.timer = setTimeout(() => {
+        stepPlayback(playback)
+        const delta = diffState(session.sync.last, playback.state)
+
+        if (!delta) {
+          sendSnapshot()
+        } else {
+          session.sync.seq++
+          session.sync.last = playback.state
+          socket.emit("game-delta", { ...deltaMessage(session.sync, delta), tick: playback.tick })
+        }
+        playback.state.events.forEach((event) => socket.emit("score-event", { ...event, tick: playback.tick }))
+
+        scheduleNext()
+      }, playback.replay.tickMs / speed)
+    }
+
+    socket.on("load-replay", async (data) => {
+      const { matchId } = data || {}
+
+      try {
+        if (!mongoose.isValidObjectId(matchId)) {
+          return socket.emit("replay-error", { error: "Invalid match id" })
+        }
+
+        const storage = await getStorage()
+        const replay = await storage.matches.replay(String(matchId))
+
+        if (!replay) {
+          return socket.emit("replay-error", { error: "Replay not found" })
+        }
+
+        stop()
+        cancelSeek()
+        session = { playback: createPlayback(replay), sync: createSync(), speed: 1, timer: null, seeking: null }
+        sendSnapshot()
+        sendStatus()
+      } catch (error) {
+        logger.error("Error loading replay", { socketId: socket.id, matchId, error })
+        socket.emit("replay-error", { error: "Failed to load replay" })
+      }
+    })
+
+    socket.on("play", () => {
+      if (!session || session.timer || session.seeking) return
+      scheduleNext()
+      sendStatus()
+    })
+
+    socket.on("pause", () => {
+      if (!session) return
+      if (session.seeking) session.seeking.resume = false
+      stop()
+      sendStatus()
+    })
+
+    socket.on("set-speed", (data) => {
+      const { speed } = data || {}
+      if (!session) return
+
+      if (typeof speed !== "number" || speed < MIN_SPEED || speed > MAX_SPEED) {
+        return socket.emit("replay-error", { error: `Speed must be between ${MIN_SPEED} and ${MAX_SPEED}` })
+      }
+
+      session.speed = speed
+      if (session.timer) {
+        stop()
+        scheduleNext()
+      }
+      sendStatus()
+    })
+
+    socket.on("seek", (data) => {
+      const { tick } = data || {}
+      if (!session) return
+
+      if (!Number.isInteger(tick)) {
+        return socket.emit("replay-error", { error: "Tick must be an integer" })
+      }
+
+      const now = Date.now()
+      if (now - lastSeekAt < SEEK_INTERVAL_MS) {
+        return socket.emit("replay-error", { error: "Seeking too fast" })
+      }
+      lastSeekAt = now
+
+      const resume = session.timer !== null || (session.seeking !== null && session.seeking.resume)
+      stop()
+      cancelSeek()
+      session.seeking = { tick, resume, immediate: null }
+      continueSeek()
+    })
+
+    socket.on("disconnect", () => {
+      stop()
+      cancelSeek()
+    })
+  })
+
+  return replays
+}
+
+module.exports = { registerReplayNamespace }
@@ -0,0 +1,65 @@
+const { createMongoStorage } = require("./mongo")
+const { createMemoryStorage } = require("./memory")
+const { logger } = require("../lib/logger")
+
+// Storage is picked once at startup: MongoDB when MONGODB_URI is set and
+// reachable, otherwise in-memory (persisted to STORAGE_FILE when set)
+let ready = null
+
+async function connectStorage() {
+  try {
+    if (process.env.MONGODB_URI) {
+      const storage = await createMongoStorage(process.env.MONGODB_URI)
+      logger.info("MongoDB connected", { backend: "mongo" })
+      return storage
+    }
+
+    logger.warn("MongoDB URI not provided, using in-memory storage", { backend: "memory" })
+  } catch (error) {
+    logger.error("MongoDB connection failed, continuing with in-memory storage", { backend: "memory", error })
+  }
+
+  if (process.env.STORAGE_FILE) {
+    logger.info("In-memory storage persisted to file", { file: process.env.STORAGE_FILE })
+  }
+  return createMemoryStorage({ file: process.env.STORAGE_FILE })
+}
+
+function initStorage() {
+  if (!ready) ready = connectStorage()
+  return ready
+}
+
+// Resolves once the storage backend has been chosen
+function getStorage() {
+  return initStorage()
+}
+
+const READY_TIMEOUT_MS = 2000
+
+function withTimeout(promise, ms) {
+  let timer
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms)
+  })
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
+
+// Readiness for /health/ready: with MONGODB_URI set, MongoDB must be in use and answer a ping
+async function checkStorage() {
+  const configured = Boolean(process.env.MONGODB_URI)
+
+  try {
+    const storage = await withTimeout(initStorage(), READY_TIMEOUT_MS)
+    if (storage.type !== "mongo") {
+      return { ready: !configured, backend: storage.type, mongo: configured ? "unavailable" : "disabled" }
+    }
+
+    await withTimeout(storage.ping(), READY_TIMEOUT_MS)
+    return { ready: true, backend: storage.type, mongo: "connected" }
+  } catch (error) {
+    return { ready: false, backend: configured ? "mongo" : null, mongo: "unreachable", error: error.message }
+  }
+}
+
+module.exports = { initStorage, getStorage, checkStorage }
@@ -0,0 +1,354 @@
+const fs = require("fs")
+const mongoose = require("mongoose")
+const { playerNameKey } = require("../lib/playerNames")
+const { logger } = require("../lib/logger")
+const { saveFailures } = require("../lib/metrics")
+const { DEFAULT_RATING } = require("../lib/ratings")
+
+const DATE_FIELDS = ["date", "startedAt", "endedAt", "updatedAt", "createdAt"]
+
+function reviveDates(document) {
+  DATE_FIELDS.forEach((field) => {
+    if (document[field]) document[field] = new Date(document[field])
+  })
+  return document
+}
+
+function newId() {
+  return new mongoose.Types.ObjectId().toString()
+}
+
+function byScore(a, b) {
+  return b.score - a.score || b.date - a.date
+}
+
+function byEndedAt(a, b) {
+  return b.endedAt - a.endedAt
+}
+
+// Replays are only returned by matches.replay(), like the select: false field in Mongo
+function withoutReplay(match) {
+  const { replay, ...rest } = match
+  return structuredClone(rest)
+}
+
+function pick(document, fields) {
+  return fields.reduce((picked, field) => ({ ...picked, [field]: document[field] }), {})
+}
+
+// In-memory storage for running without a database; when a file path is
+// given the data is loaded from and written back to that JSON file
+function createMemoryStorage({ file } = {}) {
+  const data = { scores: [], matches: [], players: [], ratings: [], bans: [], audit: [] }
+  let writing = Promise.resolve()
+
+  if (file && fs.existsSync(file)) {
+    const saved = JSON.parse(fs.readFileSync(file, "utf8"))
+    data.scores = (saved.scores || []).map(reviveDates).map((score) => ({
+      ...score,
+      playerNameKey: score.playerNameKey || playerNameKey(score.playerName),
+    }))
+    data.matches = (saved.matches || []).map(reviveDates)
+    data.players = (saved.players || []).map(reviveDates)
+    data.ratings = (saved.ratings || []).map(reviveDates)
+    data.bans = (saved.bans || []).map(reviveDates)
+    data.audit = (saved.audit || []).map(reviveDates)
+  }
+
+  // Writes are chained so the file always ends up with the latest data
+  function persist() {
+    if (!file) return Promise.resolve()
+
+    writing = writing
+      .then(() => fs.promises.writeFile(file, JSON.stringify(data, null, 2)))
+      .catch((error) => {
+        saveFailures.inc({ operation: "storage-file" })
+        logger.error("Error writing storage file", { file, error })
+      })
+    return writing
+  }
+
+  const scoreFields = ["_id", "playerName", "score", "date", "player", "guest", "bot"]
+
+  return {
+    type: "memory",
+
+    ping: async () => {},
+
+    scores: {
+      leaderboard: async ({ since, unique, verified, excludeKeys = [], skip, limit }) => {
+        let scores = data.scores
+          .filter((score) => !since || score.date >= since)
+          .filter((score) => verified === undefined || Boolean(score.player) === verified)
+          .filter((score) => !excludeKeys.includes(score.playerNameKey))
+          .sort(byScore)
+
+        // Scores are sorted best first, so the first entry per player is their best
+        if (unique) {
+          const seen = new Set()
+          scores = scores.filter((score) => !seen.has(score.playerNameKey) && seen.add(score.playerNameKey))
+        }
+
+        return {
+          total: scores.length,
+          entries: scores.slice(skip, skip + limit).map((score) => pick(score, scoreFields)),
+        }
+      },
+
+      byPlayer: async (playerName, { limit }) => {
+        const key = playerNameKey(playerName)
+        return data.scores
+          .filter((score) => score.playerNameKey === key)
+          .sort(byScore)
+          .slice(0, limit)
+          .map((score) => pick(score, scoreFields))
+      },
+
+      playersByPrefix: async (prefix, { limit }) => {
+        const key = playerNameKey(prefix)
+        const players = new Map()
+
+        data.scores
+          .filter((score) => score.playerNameKey.startsWith(key))
+          .sort((a, b) => b.date - a.date)
+          .forEach((score) => {
+            const player = players.get(score.playerNameKey)
+            if (!player) {
+              players.set(score.playerNameKey, { playerName: score.playerName, bestScore: score.score })
+            } else {
+              player.bestScore = Math.max(player.bestScore, score.score)
+            }
+          })
+
+        return Array.from(players.keys())
+          .sort()
+          .slice(0, limit)
+          .map((key) => players.get(key))
+      },
+
+      create: async ({ _id = newId(), playerName, score, date = new Date(), match = null, player = null, guest = true, bot = null }) => {
+        const document = {
+          _id: String(_id),
+          playerName: playerName.trim(),
+          playerNameKey: playerNameKey(playerName),
+          score,
+          date,
+          match,
+          player: player && String(player),
+          guest,
+          bot,
+        }
+        data.scores.push(document)
+        await persist()
+        return structuredClone(document)
+      },
+
+      findById: async (id) => {
+        const score = data.scores.find((entry) => entry._id === String(id))
+        return score ? structuredClone(score) : null
+      },
+
+      // Correct a score's name and/or value; returns the updated score or null
+      update: async (id, { playerName, score }) => {
+        const document = data.scores.find((entry) => entry._id === String(id))
+        if (!document) return null
+
+        if (playerName !== undefined) {
+          document.playerName = playerName.trim()
+          document.playerNameKey = playerNameKey(playerName)
+        }
+        if (score !== undefined) document.score = score
+
+        await persist()
+        return structuredClone(document)
+      },
+
+      remove: async (id) => {
+        const index = data.scores.findIndex((entry) => entry._id === String(id))
+        if (index === -1) return null
+
+        const [removed] = data.scores.splice(index, 1)
+        await persist()
+        return removed
+      },
+    },
+
+    matches: {
+      recent: async ({ limit }) => data.matches.slice().sort(byEndedAt).slice(0, limit).map(withoutReplay),
+
+      findById: async (id) => {
+        const match = data.matches.find((entry) => entry._id === id)
+        return match ? withoutReplay(match) : null
+      },
+
+      replay: async (id) => {
+        const match = data.matches.find((entry) => entry._id === id)
+        return match && match.replay ? structuredClone(match.replay) : null
+      },
+
+      byPlayer: async (playerName, { limit }) =>
+        data.matches
+          .filter((match) =>
+            [match.player1, match.player2].some((player) => playerNameKey(player.name) === playerNameKey(playerName)),
+          )
+          .sort(byEndedAt)
+          .slice(0, limit)
+          .map(withoutReplay),
+
+      // Win/loss/draw counts for a player, optionally only against one opponent
+      record: async (playerName, { opponent } = {}) => {
+        const key = playerNameKey(playerName)
+        const record = { played: 0, wins: 0, losses: 0, draws: 0 }
+
+        data.matches.forEach((match) => {
+          const seat = [1, 2].find((s) => playerNameKey(match[`player${s}`].name) === key)
+          if (!seat) return
+
+          const other = match[`player${seat === 1 ? 2 : 1}`]
+          if (opponent !== undefined && playerNameKey(other.name) !== playerNameKey(opponent)) return
+
+          record.played++
+          if (match.winnerSeat === null) record.draws++
+          else if (match.winnerSeat === seat) record.wins++
+          else record.losses++
+        })
+
+        return record
+      },
+
+      create: async (match) => {
+        const document = { _id: newId(), endedAt: new Date(), ...structuredClone(match) }
+        data.matches.push(document)
+        await persist()
+        return withoutReplay(document)
+      },
+
+      linkScore: async (id, seat, scoreId) => {
+        const match = data.matches.find((entry) => entry._id === id)
+        if (!match) return
+
+        match[`player${seat}`].scoreId = scoreId
+        await persist()
+      },
+
+      // Check and set happen before any await, so concurrent claims can't both reserve
+      reserveScore: async (id, seat) => {
+        const match = data.matches.find((entry) => entry._id === String(id))
+        if (!match || match[`player${seat}`].scoreId) return null
+
+        const scoreId = newId()
+        match[`player${seat}`].scoreId = scoreId
+        await persist()
+        return scoreId
+      },
+
+      releaseScore: async (id, seat, scoreId) => {
+        const match = data.matches.find((entry) => entry._id === String(id))
+        if (!match || match[`player${seat}`].scoreId !== String(scoreId)) return
+
+        match[`player${seat}`].scoreId = null
+        await persist()
+      },
+    },
+
+    players: {
+      findByName: async (name) => {
+        const key = playerNameKey(name)
+        const player = data.players.find((entry) => entry.nameKey === key)
+        return player ? structuredClone(player) : null
+      },
+
+      findById: async (id) => {
+        const player = data.players.find((entry) => entry._id === String(id))
+        return player ? structuredClone(player) : null
+      },
+
+      create: async ({ name, passwordHash }) => {
+        const key = playerNameKey(name)
+        if (data.players.some((entry) => entry.nameKey === key)) {
+          throw Object.assign(new Error("Player name already registered"), { code: 11000 })
+        }
+
+        const document = { _id: newId(), name: name.trim(), nameKey: key, passwordHash, createdAt: new Date() }
+        data.players.push(document)
+        await persist()
+        return structuredClone(document)
+      },
+    },
+
+    bans: {
+      list: async () =>
+        data.bans
+          .slice()
+          .sort((a, b) => b.date - a.date)
+          .map((ban) => structuredClone(ban)),
+
+      keys: async () => data.bans.map((ban) => ban.playerNameKey),
+
+      add: async ({ playerName, reason = null }) => {
+        const key = playerNameKey(playerName)
+        let ban = data.bans.find((entry) => entry.playerNameKey === key)
+
+        if (!ban) {
+          ban = { _id: newId(), playerNameKey: key }
+          data.bans.push(ban)
+        }
+
+        Object.assign(ban, { playerName: playerName.trim(), reason, date: new Date() })
+        await persist()
+        return structuredClone(ban)
+      },
+
+      remove: async (playerName) => {
+        const key = playerNameKey(playerName)
+        const index = data.bans.findIndex((entry) => entry.playerNameKey === key)
+        if (index === -1) return false
+
+        data.bans.splice(index, 1)
+        await persist()
+        return true
+      },
+    },
+
+    ratings: {
+      find: async (playerName) => {
+        const key = playerNameKey(playerName)
+        const rating = data.ratings.find((entry) => entry.playerNameKey === key)
+        return rating ? structuredClone(rating) : null
+      },
+
+      // Insert or replace a player's rating record
+      save: async ({ playerName, ...fields }) => {
+        const key = playerNameKey(playerName)
+        let rating = data.ratings.find((entry) => entry.playerNameKey === key)
+
+        if (!rating) {
+          rating = { _id: newId(), playerNameKey: key, rating: DEFAULT_RATING, games: 0, wins: 0, losses: 0, draws: 0 }
+          data.ratings.push(rating)
+        }
+
+        Object.assign(rating, fields, { playerName: playerName.trim(), updatedAt: new Date() })
+        await persist()
+        return structuredClone(rating)
+      },
+    },
+
+    audit: {
+      record: async ({ action, reason = null, ip = null, details = {}, date = new Date() }) => {
+        const document = { _id: newId(), action, reason, ip, details: structuredClone(details), date }
+        data.audit.push(document)
+        await persist()
+        return structuredClone(document)
+      },
+
+      recent: async ({ action, limit }) =>
+        data.audit
+          .filter((entry) => !action || entry.action === action)
+          .sort((a, b) => b.date - a.date)
+          .slice(0, limit)
+          .map((entry) => structuredClone(entry)),
+    },
+  }
+}
+
+module.exports = { createMemoryStorage }
@@ -0,0 +1,207 @@
+const mongoose = require("mongoose")
+const Score = require("../models/Score")
+const Match = require("../models/Match")
+const AuditLog = require("../models/AuditLog")
+const Rating = require("../models/Rating")
+const Player = require("../models/Player")
+const Ban = require("../models/Ban")
+const { playerNameKey, escapeRegExp } = require("../lib/playerNames")
+
+// MongoDB storage backed by the mongoose models
+async function createMongoStorage(uri) {
+  await mongoose.connect(uri)
+
+  return {
+    type: "mongo",
+
+    // Fails fast when the driver has lost its connection instead of waiting for a server
+    ping: async () => {
+      if (mongoose.connection.readyState !== 1) {
+        throw new Error("MongoDB is not connected")
+      }
+      await mongoose.connection.db.admin().ping()
+    },
+
+    scores: {
+      // Page of the leaderboard; with unique, only each player's personal best
+      leaderboard: async ({ since, unique, verified, excludeKeys = [], skip, limit }) => {
+        const filter = since ? { date: { $gte: since } } : {}
+        if (verified !== undefined) {
+          filter.player = verified ? { $ne: null } : null
+        }
+        if (excludeKeys.length > 0) {
+          filter.playerNameKey = { $nin: excludeKeys }
+        }
+
+        if (!unique) {
+          const [total, entries] = await Promise.all([
+            Score.countDocuments(filter),
+            Score.find(filter).sort({ score: -1, date: -1 }).skip(skip).limit(limit).select("playerName score date player guest bot").lean(),
+          ])
+          return { total, entries }
+        }
+
+        const [result] = await Score.aggregate([
+          { $match: filter },
+          { $sort: { score: -1, date: -1 } },
+          { $group: { _id: "$playerNameKey", best: { $first: "$$ROOT" } } },
+          { $replaceRoot: { newRoot: "$best" } },
+          { $sort: { score: -1, date: -1 } },
+          {
+            $facet: {
+              total: [{ $count: "count" }],
+              entries: [{ $skip: skip }, { $limit: limit }, { $project: { playerName: 1, score: 1, date: 1, player: 1, guest: 1, bot: 1 } }],
+            },
+          },
+        ])
+
+        return { total: result.total.length > 0 ? result.total[0].count : 0, entries: result.entries }
+      },
+
+      byPlayer: (playerName, { limit }) =>
+        Score.find({ playerNameKey: playerNameKey(playerName) })
+          .sort({ score: -1, date: -1 })
+          .limit(limit)
+          .select("playerName score date player guest bot")
+          .lean(),
+
+      // Distinct players whose name starts with the prefix, for autocomplete
+      playersByPrefix: (prefix, { limit }) =>
+        Score.aggregate([
+          { $match: { playerNameKey: { $regex: `^${escapeRegExp(playerNameKey(prefix))}` } } },
+          { $sort: { date: -1 } },
+          { $group: { _id: "$playerNameKey", playerName: { $first: "$playerName" }, bestScore: { $max: "$score" } } },
+          { $sort: { _id: 1 } },
+          { $limit: limit },
+          { $project: { _id: 0, playerName: 1, bestScore: 1 } },
+        ]),
+
+      create: async (data) => (await new Score(data).save()).toObject(),
+
+      findById: (id) => Score.findById(id).lean(),
+
+      // Correct a score's name and/or value; returns the updated score or null
+      update: async (id, fields) => {
+        const score = await Score.findById(id)
+        if (!score) return null
+
+        score.set(fields)
+        return (await score.save()).toObject()
+      },
+
+      remove: (id) => Score.findByIdAndDelete(id).lean(),
+    },
+
+    matches: {
+      recent: ({ limit }) => Match.find().sort({ endedAt: -1 }).limit(limit).lean(),
+
+      findById: (id) => Match.findById(id).lean(),
+
+      replay: async (id) => {
+        const match = await Match.findById(id).select("+replay").lean()
+        return match ? match.replay : null
+      },
+
+      byPlayer: (playerName, { limit }) =>
+        Match.find({
+          $or: [{ "player1.nameKey": playerNameKey(playerName) }, { "player2.nameKey": playerNameKey(playerName) }],
+        })
+          .sort({ endedAt: -1 })
+          .limit(limit)
+          .lean(),
+
+      // Win/loss/draw counts for a player, optionally only against one opponent
+      record: async (playerName, { opponent } = {}) => {
+        const key = playerNameKey(playerName)
+        const stages = [
+          { $match: { $or: [{ "player1.nameKey": key }, { "player2.nameKey": key }] } },
+          { $addFields: { seat: { $cond: [{ $eq: ["$player1.nameKey", key] }, 1, 2] } } },
+        ]
+        if (opponent !== undefined) {
+          const opponentNameKey = { $cond: [{ $eq: ["$seat", 1] }, "$player2.nameKey", "$player1.nameKey"] }
+          stages.push({ $match: { $expr: { $eq: [opponentNameKey, playerNameKey(opponent)] } } })
+        }
+
+        const [counts] = await Match.aggregate([
+          ...stages,
+          {
+            $group: {
+              _id: null,
+              played: { $sum: 1 },
+              wins: { $sum: { $cond: [{ $eq: ["$winnerSeat", "$seat"] }, 1, 0] } },
+              draws: { $sum: { $cond: [{ $eq: [{ $ifNull: ["$winnerSeat", null] }, null] }, 1, 0] } },
+            },
+          },
+        ])
+
+        const { played = 0, wins = 0, draws = 0 } = counts || {}
+        return { played, wins, losses: played - wins - draws, draws }
+      },
+
+      create: async (data) => (await new Match(data).save()).toObject(),
+
+      linkScore: (id, seat, scoreId) => Match.updateOne({ _id: id }, { $set: { [`player${seat}.scoreId`]: scoreId } }),
+
+      // Atomically set aside a score id for a seat that has none; returns it, or null when already taken
+      reserveScore: async (id, seat) => {
+        const scoreId = new mongoose.Types.ObjectId()
+        const result = await Match.updateOne(
+          { _id: id, [`player${seat}.scoreId`]: null },
+          { $set: { [`player${seat}.scoreId`]: scoreId } },
+        )
+        return result.modifiedCount > 0 ? scoreId : null
+      },
+
+      // Undo a reservation whose score could not be saved
+      releaseScore: (id, seat, scoreId) =>
+        Match.updateOne({ _id: id, [`player${seat}.scoreId`]: scoreId }, { $set: { [`player${seat}.scoreId`]: null } }),
+    },
+
+    players: {
+      findByName: (name) => Player.findOne({ nameKey: playerNameKey(name) }).lean(),
+
+      findById: (id) => Player.findById(id).lean(),
+
+      create: async (data) => (await new Player(data).save()).toObject(),
+    },
+
+    bans: {
+      list: () => Ban.find().sort({ date: -1 }).lean(),
+
+      keys: async () => (await Ban.find().select("playerNameKey").lean()).map((ban) => ban.playerNameKey),
+
+      add: ({ playerName, reason = null }) =>
+        Ban.findOneAndUpdate(
+          { playerNameKey: playerNameKey(playerName) },
+          { $set: { playerName, reason, date: new Date() } },
+          { upsert: true, new: true, runValidators: true },
+        ).lean(),
+
+      remove: async (playerName) => (await Ban.deleteOne({ playerNameKey: playerNameKey(playerName) })).deletedCount > 0,
+    },
+
+    ratings: {
+      find: (playerName) => Rating.findOne({ playerNameKey: playerNameKey(playerName) }).lean(),
+
+      // Insert or replace a player's rating record
+      save: ({ playerName, ...fields }) =>
+        Rating.findOneAndUpdate(
+          { playerNameKey: playerNameKey(playerName) },
+          { $set: { playerName, ...fields, updatedAt: new Date() } },
+          { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true },
+        ).lean(),
+    },
+
+    audit: {
+      record: async (entry) => (await new AuditLog(entry).save()).toObject(),
+
+      recent: ({ action, limit }) =>
+        AuditLog.find(action ? { action } : {})
+          .sort({ date: -1 })
+          .limit(limit)
+          .lean(),
+    },
+  }
+}
+
+module.exports = { createMongoStorage }
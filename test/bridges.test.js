@@ -0,0 +1,44 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+
+const ENV_KEYS = ["ARDUINO_BRIDGE_SECRET", "ARDUINO_DEVICE_KEYS", "ALLOW_UNAUTHENTICATED_BRIDGES"]
+
+// Credentials are read once at load, so each case gets a fresh copy of the module
+function loadBridges(env = {}) {
+  const saved = ENV_KEYS.map((key) => [key, process.env[key]])
+  ENV_KEYS.forEach((key) => delete process.env[key])
+  Object.assign(process.env, env)
+
+  try {
+    delete require.cache[require.resolve("../lib/bridges")]
+    return require("../lib/bridges")
+  } finally {
+    saved.forEach(([key, value]) => (value === undefined ? delete process.env[key] : (process.env[key] = value)))
+  }
+}
+
+test("bridges are refused when no credentials are configured", () => {
+  const { authenticateBridge } = loadBridges()
+  assert.deepEqual(authenticateBridge({}), { error: "Bridge authentication is not configured" })
+})
+
+test("unauthenticated bridges are accepted only when explicitly allowed", () => {
+  assert.deepEqual(loadBridges({ ALLOW_UNAUTHENTICATED_BRIDGES: "true" }).authenticateBridge({}), { method: "none" })
+  assert.ok(loadBridges({ ALLOW_UNAUTHENTICATED_BRIDGES: "1" }).authenticateBridge({}).error)
+})
+
+test("the shared secret must match", () => {
+  const { authenticateBridge } = loadBridges({ ARDUINO_BRIDGE_SECRET: "s3cret", ALLOW_UNAUTHENTICATED_BRIDGES: "true" })
+
+  assert.deepEqual(authenticateBridge({ secret: "s3cret" }), { method: "shared-secret" })
+  assert.deepEqual(authenticateBridge({ secret: "guess" }), { error: "Invalid bridge secret" })
+  assert.deepEqual(authenticateBridge({}), { error: "Invalid bridge secret" })
+})
+
+test("device keys are checked per device", () => {
+  const { authenticateBridge } = loadBridges({ ARDUINO_DEVICE_KEYS: "cabinet-1:key1, cabinet-2:key2" })
+
+  assert.deepEqual(authenticateBridge({ deviceId: "cabinet-2", key: "key2" }), { method: "device-key" })
+  assert.deepEqual(authenticateBridge({ deviceId: "cabinet-2", key: "key1" }), { error: "Invalid device key" })
+  assert.deepEqual(authenticateBridge({ deviceId: "cabinet-9", key: "key1" }), { error: "Unknown device" })
+})
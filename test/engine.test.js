@@ -0,0 +1,52 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { createGameState, createManualClock, createRng, step } = require("../game/engine")
+
+const DIRECTIONS = ["up", "down", "left", "right"]
+
+// Random presses driven by their own seeded RNG, so every run sends the same inputs
+function simulate(seed, ticks) {
+  const clock = createManualClock(0)
+  const rng = createRng(seed)
+  const presses = createRng(seed + 1)
+  let state = createGameState()
+
+  for (let tick = 0; tick < ticks && !state.gameOver; tick++) {
+    const inputs = {}
+    if (presses() < 0.2) inputs.player1 = { [DIRECTIONS[Math.floor(presses() * 4)]]: true }
+    if (presses() < 0.2) inputs.player2 = { [DIRECTIONS[Math.floor(presses() * 4)]]: true }
+
+    clock.advance(state.rules.tickMs)
+    state = step(state, inputs, clock, rng)
+  }
+
+  return state
+}
+
+test("the same seed and inputs produce the same match", () => {
+  assert.deepEqual(simulate(42, 400), simulate(42, 400))
+})
+
+test("different seeds produce different matches", () => {
+  assert.notDeepEqual(simulate(42, 400), simulate(43, 400))
+})
+
+test("step does not modify the state it is given", () => {
+  const state = createGameState()
+  const before = structuredClone(state)
+  const clock = createManualClock(0)
+
+  clock.advance(state.rules.tickMs)
+  step(state, { player1: { left: true } }, clock, createRng(1))
+
+  assert.deepEqual(state, before)
+})
+
+test("an RNG restarted from its state continues the same sequence", () => {
+  const rng = createRng(7)
+  rng()
+  rng()
+
+  const resumed = createRng(rng.state())
+  assert.deepEqual([rng(), rng(), rng()], [resumed(), resumed(), resumed()])
+})
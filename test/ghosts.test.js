@@ -0,0 +1,214 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { createGameState, createManualClock, createRng, step } = require("../game/engine")
+const { getMaze } = require("../game/mazes")
+const { isWalkable, distancesFrom, distanceAt } = require("../game/grid")
+const { isDangerous, moveGhosts, frightenGhosts, calmGhosts, sendGhostHome, updateGhostMode } = require("../game/ghosts")
+
+const maze = getMaze("classic")
+const DIRECTIONS = ["up", "down", "left", "right"]
+
+// Classic maze with one ghost out at a tile and the others left in the house
+function stateWithGhost(index, { x, y, direction }) {
+  const state = createGameState()
+  Object.assign(state.ghosts[index], { x, y, direction, state: "active" })
+  return state
+}
+
+function placePlayers(state, { x, y }) {
+  Object.assign(state.player1, { x, y })
+  Object.assign(state.player2, { x, y })
+}
+
+// Moves one ghost tile by tile, checking each move gets it one tile closer to the goal
+function assertShortestPath(state, index, goal) {
+  const distances = distancesFrom(maze.grid, goal, false)
+  const ghost = state.ghosts[index]
+  let remaining = distanceAt(maze.grid, distances, ghost)
+
+  while (remaining > 0) {
+    moveGhosts(state, maze, Math.random)
+    const distance = distanceAt(maze.grid, distances, ghost)
+    assert.equal(distance, remaining - 1, `ghost at ${ghost.x},${ghost.y}`)
+    remaining = distance
+  }
+}
+
+test("chasing ghosts take the shortest path around walls to the player", () => {
+  const state = stateWithGhost(0, { x: 1, y: 5, direction: "right" })
+  state.ghostMode.mode = "chase"
+  placePlayers(state, { x: 21, y: 29 })
+
+  assertShortestPath(state, 0, { x: 21, y: 29 })
+})
+
+test("scattering ghosts head for their own corner", () => {
+  const state = stateWithGhost(1, { x: 21, y: 29, direction: "left" })
+  placePlayers(state, { x: 26, y: 29 })
+
+  assertShortestPath(state, 1, maze.scatterTargets.pink)
+})
+
+test("ghosts out in the maze never enter walls or the house", () => {
+  const clock = createManualClock(0)
+  const rng = createRng(3)
+  let state = createGameState()
+
+  for (let tick = 0; tick < 600 && !state.gameOver; tick++) {
+    const inputs = { player1: { [DIRECTIONS[Math.floor(rng() * 4)]]: true } }
+    clock.advance(state.rules.tickMs)
+    state = step(state, inputs, clock, rng)
+
+    state.ghosts.forEach((ghost) => {
+      const allowHouse = ["in-house", "leaving-house", "eaten"].includes(ghost.state)
+      assert.ok(isWalkable(maze.grid, ghost.x, ghost.y, allowHouse), `${ghost.color} ${ghost.state} at ${ghost.x},${ghost.y}`)
+    })
+  }
+})
+
+test("ghosts alternate scatter and chase, reversing on every change", () => {
+  const clock = createManualClock(0)
+  const state = stateWithGhost(0, { x: 1, y: 5, direction: "right" })
+
+  updateGhostMode(state, clock)
+  assert.equal(state.ghostMode.mode, "scatter")
+
+  clock.advance(6999)
+  updateGhostMode(state, clock)
+  assert.equal(state.ghostMode.mode, "scatter")
+  assert.equal(state.ghosts[0].reverse, undefined)
+
+  clock.advance(1)
+  updateGhostMode(state, clock)
+  assert.equal(state.ghostMode.mode, "chase")
+  assert.equal(state.ghosts[0].reverse, true)
+
+  clock.advance(20000)
+  updateGhostMode(state, clock)
+  assert.equal(state.ghostMode.mode, "scatter")
+})
+
+test("the scatter/chase timer stops while ghosts are frightened", () => {
+  const clock = createManualClock(0)
+  const state = createGameState()
+  updateGhostMode(state, clock)
+
+  state.powerMode = true
+  clock.advance(60000)
+  updateGhostMode(state, clock)
+  assert.equal(state.ghostMode.mode, "scatter")
+
+  state.powerMode = false
+  clock.advance(7000)
+  updateGhostMode(state, clock)
+  assert.equal(state.ghostMode.mode, "chase")
+})
+
+test("power pellets frighten only the ghosts out in the maze", () => {
+  const state = stateWithGhost(0, { x: 1, y: 5, direction: "right" })
+
+  frightenGhosts(state)
+  assert.deepEqual(
+    state.ghosts.map(({ state: ghostState, color }) => [ghostState, color]),
+    [
+      ["frightened", "blue"],
+      ["in-house", "pink"],
+      ["in-house", "cyan"],
+      ["in-house", "orange"],
+    ],
+  )
+  assert.equal(state.ghosts[0].reverse, true)
+
+  calmGhosts(state)
+  assert.equal(state.ghosts[0].state, "active")
+  assert.equal(state.ghosts[0].color, "red")
+  assert.equal("originalColor" in state.ghosts[0], false)
+})
+
+test("frightened ghosts move at half speed and wander at random", () => {
+  const state = stateWithGhost(0, { x: 6, y: 5, direction: "right" })
+  frightenGhosts(state)
+  state.ghosts[0].reverse = false
+
+  moveGhosts(state, maze, () => 0)
+  assert.deepEqual([state.ghosts[0].x, state.ghosts[0].y], [6, 5])
+
+  // At a crossroads the first option is taken when the RNG returns 0
+  moveGhosts(state, maze, () => 0)
+  assert.deepEqual([state.ghosts[0].x, state.ghosts[0].y], [6, 4])
+})
+
+const ghostStates = (state) => state.ghosts.map((ghost) => ghost.state)
+
+test("ghosts leave the house by dots eaten or by time, whichever comes first", () => {
+  const clock = createManualClock(0)
+  const state = createGameState()
+
+  updateGhostMode(state, clock)
+  assert.deepEqual(ghostStates(state), ["leaving-house", "in-house", "in-house", "in-house"])
+
+  state.levelDotsEaten = 10
+  updateGhostMode(state, clock)
+  assert.deepEqual(ghostStates(state), ["leaving-house", "leaving-house", "in-house", "in-house"])
+
+  clock.advance(5000)
+  updateGhostMode(state, clock)
+  assert.deepEqual(ghostStates(state), ["leaving-house", "leaving-house", "leaving-house", "in-house"])
+
+  state.levelDotsEaten = 60
+  updateGhostMode(state, clock)
+  assert.deepEqual(ghostStates(state), ["leaving-house", "leaving-house", "leaving-house", "leaving-house"])
+})
+
+test("the second ghost is released on its timer when no dots are eaten", () => {
+  const clock = createManualClock(0)
+  const state = createGameState()
+  updateGhostMode(state, clock)
+
+  clock.advance(999)
+  updateGhostMode(state, clock)
+  assert.equal(state.ghosts[1].state, "in-house")
+
+  clock.advance(1)
+  updateGhostMode(state, clock)
+  assert.equal(state.ghosts[1].state, "leaving-house")
+})
+
+test("leaving ghosts walk out through the door and become active at the exit", () => {
+  const state = createGameState()
+  state.ghosts[1].state = "leaving-house"
+
+  for (let moves = 0; state.ghosts[1].state === "leaving-house"; moves++) {
+    assert.ok(moves < 10, "ghost never left the house")
+    moveGhosts(state, maze, Math.random)
+  }
+
+  assert.equal(state.ghosts[1].state, "active")
+  assert.deepEqual({ x: state.ghosts[1].x, y: state.ghosts[1].y }, maze.houseExit)
+})
+
+test("eaten ghosts go home as harmless eyes and come back out", () => {
+  const state = stateWithGhost(2, { x: 1, y: 29, direction: "up" })
+  frightenGhosts(state)
+  sendGhostHome(state.ghosts[2])
+
+  const eyes = state.ghosts[2]
+  assert.equal(eyes.state, "eaten")
+  assert.equal(eyes.color, "cyan")
+  assert.equal(isDangerous(eyes), false)
+
+  const spawn = maze.ghosts[2]
+  const distance = distanceAt(maze.grid, distancesFrom(maze.grid, spawn, true), eyes)
+  let moves = 0
+  while (eyes.state === "eaten") {
+    moveGhosts(state, maze, Math.random)
+    moves++
+  }
+
+  // Eyes cover two tiles per tick, so they are home in half the walk
+  assert.equal(moves, Math.ceil(distance / 2))
+  assert.equal(eyes.state, "leaving-house")
+
+  while (eyes.state === "leaving-house") moveGhosts(state, maze, Math.random)
+  assert.equal(eyes.state, "active")
+})
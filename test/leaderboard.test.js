@@ -0,0 +1,239 @@
+// Route tests run against the in-memory storage; keep the expected rejections out of the output
+delete process.env.MONGODB_URI
+delete process.env.STORAGE_FILE
+process.env.LOG_LEVEL = "error"
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { once } = require("node:events")
+const express = require("express")
+const leaderboardRoutes = require("../routes/leaderboard")
+const { getStorage } = require("../storage")
+const { signResult } = require("../lib/resultTokens")
+const { signPlayerToken } = require("../lib/playerAuth")
+const { playerNameKey } = require("../lib/playerNames")
+
+let server
+let baseUrl
+
+test.before(async () => {
+  const app = express()
+  app.use(express.json())
+  app.use("/api/leaderboard", leaderboardRoutes)
+
+  server = app.listen(0)
+  await once(server, "listening")
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/leaderboard`
+})
+
+test.after(() => server.close())
+
+function seatRecord(name, score, fields = {}) {
+  return { name, nameKey: name ? playerNameKey(name) : "", score, lives: 0, scoreId: null, playerId: null, bot: null, ...fields }
+}
+
+// A finished match as saveMatch stores it
+async function finishedMatch({
+  player1 = seatRecord("Ana", 1200),
+  player2 = seatRecord("Bob", 800),
+  winnerSeat = 1,
+  endedAt = new Date(),
+} = {}) {
+  const storage = await getStorage()
+  return storage.matches.create({
+    room: "main",
+    player1,
+    player2,
+    winnerSeat,
+    winner: winnerSeat ? [player1, player2][winnerSeat - 1].name : null,
+    endReason: "one-dead",
+    maze: "classic",
+    level: 1,
+    duration: 60000,
+    startedAt: new Date(endedAt - 60000),
+    endedAt,
+  })
+}
+
+// The claim a seat makes with the token it was sent at game over
+function claimFor(match, seat, fields = {}) {
+  const recorded = match[`player${seat}`]
+  const matchId = String(match._id)
+  return { matchId, seat, playerName: recorded.name, score: recorded.score, token: signResult(matchId, seat, recorded.score), ...fields }
+}
+
+async function claim(body, headers = {}) {
+  const response = await fetch(baseUrl, {
+    method: "POST",
+    headers: { "content-type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  })
+  return { status: response.status, body: await response.json() }
+}
+
+test("a seat claims its score once with its result token", async () => {
+  const match = await finishedMatch({ player1: seatRecord("Claire", 1500) })
+
+  const first = await claim(claimFor(match, 1))
+  assert.equal(first.status, 201)
+  assert.equal(first.body.score.playerName, "Claire")
+  assert.equal(first.body.score.score, 1500)
+
+  const again = await claim(claimFor(match, 1))
+  assert.equal(again.status, 409)
+  assert.equal(again.body.reason, "already-submitted")
+})
+
+test("claims without a valid token for the recorded score are refused", async () => {
+  const match = await finishedMatch()
+
+  const forged = await claim(claimFor(match, 1, { token: "0".repeat(64) }))
+  assert.equal(forged.status, 403)
+  assert.equal(forged.body.reason, "invalid-token")
+
+  const inflated = await claim(claimFor(match, 1, { score: 99999 }))
+  assert.equal(inflated.status, 403)
+  assert.equal(inflated.body.reason, "invalid-token")
+
+  const unknown = await claim(claimFor(match, 1, { matchId: "64b7f0c2a1b2c3d4e5f60718" }))
+  assert.equal(unknown.status, 404)
+})
+
+test("a seat can only be claimed under the name it played as", async () => {
+  const match = await finishedMatch()
+
+  const response = await claim(claimFor(match, 2, { playerName: "Mallory" }))
+  assert.equal(response.status, 403)
+  assert.equal(response.body.reason, "name-mismatch")
+})
+
+test("a seat played without a name can't be claimed under any name", async () => {
+  const match = await finishedMatch({ player1: seatRecord("", 1100) })
+
+  const response = await claim(claimFor(match, 1, { playerName: "Ana" }))
+  assert.equal(response.status, 403)
+  assert.equal(response.body.reason, "unnamed-seat")
+
+  const storage = await getStorage()
+  assert.equal((await storage.scores.byPlayer("Ana", { limit: 10 })).length, 0)
+})
+
+test("account seats can only be claimed by that account", async () => {
+  const account = { _id: "64b7f0c2a1b2c3d4e5f60719", name: "Dana" }
+  const match = await finishedMatch({ player1: seatRecord("Dana", 900, { playerId: account._id }) })
+
+  const anonymous = await claim(claimFor(match, 1))
+  assert.equal(anonymous.status, 403)
+  assert.equal(anonymous.body.reason, "not-owner")
+
+  const other = await claim(claimFor(match, 1), { authorization: `Bearer ${signPlayerToken({ _id: "64b7f0c2a1b2c3d4e5f6071a", name: "Eve" })}` })
+  assert.equal(other.body.reason, "not-owner")
+
+  const owner = await claim(claimFor(match, 1), { authorization: `Bearer ${signPlayerToken(account)}` })
+  assert.equal(owner.status, 201)
+  assert.equal(owner.body.score.guest, false)
+})
+
+test("scores claimed for bot seats keep the bot's difficulty", async () => {
+  const match = await finishedMatch({ player2: seatRecord("Bot (hard)", 650, { bot: "hard" }) })
+
+  const response = await claim(claimFor(match, 2))
+  assert.equal(response.status, 201)
+  assert.equal(response.body.score.bot, "hard")
+  assert.equal(response.body.score.guest, false)
+})
+
+test("concurrent claims for one seat save a single score", async (t) => {
+  const storage = await getStorage()
+  const match = await finishedMatch({ player2: seatRecord("Frank", 700) })
+
+  // Slow inserts down like a database round trip so the claims overlap
+  const create = storage.scores.create
+  storage.scores.create = async (data) => {
+    await new Promise((resolve) => setTimeout(resolve, 20))
+    return create(data)
+  }
+  t.after(() => (storage.scores.create = create))
+
+  const responses = await Promise.all(Array.from({ length: 5 }, () => claim(claimFor(match, 2))))
+  assert.deepEqual(
+    responses.map(({ status }) => status).sort(),
+    [201, 409, 409, 409, 409],
+  )
+
+  assert.equal((await storage.scores.byPlayer("Frank", { limit: 10 })).length, 1)
+})
+
+test("a claim whose score fails to save can be retried", async (t) => {
+  const storage = await getStorage()
+  const match = await finishedMatch({ player1: seatRecord("Hugo", 300) })
+
+  const create = storage.scores.create
+  storage.scores.create = async () => {
+    throw new Error("write failed")
+  }
+  t.after(() => (storage.scores.create = create))
+
+  assert.equal((await claim(claimFor(match, 1))).status, 500)
+
+  storage.scores.create = create
+  assert.equal((await claim(claimFor(match, 1))).status, 201)
+})
+
+test("banned names can't claim scores", async () => {
+  const storage = await getStorage()
+  await storage.bans.add({ playerName: "Grace" })
+  const match = await finishedMatch({ player1: seatRecord("Grace", 400) })
+
+  const response = await claim(claimFor(match, 1))
+  assert.equal(response.status, 403)
+  assert.equal(response.body.reason, "banned")
+})
+
+async function history(name, query = "") {
+  const response = await fetch(`${baseUrl}/player/${encodeURIComponent(name)}/history${query}`)
+  return response.json()
+}
+
+test("history counts the whole record but lists one page of matches", async () => {
+  const results = [1, 1, 2, null, 1, 2, 1]
+  for (const [index, winnerSeat] of results.entries()) {
+    await finishedMatch({
+      player1: seatRecord(index % 2 ? "Ivy" : "ivy ", 100),
+      player2: seatRecord(index < 4 ? "Jack" : "Kim", 100),
+      winnerSeat,
+      endedAt: new Date(Date.UTC(2026, 0, index + 1)),
+    })
+  }
+
+  const page = await history("IVY", "?limit=3")
+  assert.deepEqual(page.record, { played: 7, wins: 4, losses: 2, draws: 1 })
+  assert.deepEqual(
+    page.matches.map(({ result, opponent }) => [result, opponent]),
+    [
+      ["win", "Kim"],
+      ["loss", "Kim"],
+      ["win", "Kim"],
+    ],
+  )
+})
+
+test("history reports head-to-head from either seat", async () => {
+  await finishedMatch({ player1: seatRecord("Liam", 100), player2: seatRecord("Mia", 100), winnerSeat: 2 })
+  await finishedMatch({ player1: seatRecord("Mia", 100), player2: seatRecord("Liam", 100), winnerSeat: 2 })
+  await finishedMatch({ player1: seatRecord("Mia", 100), player2: seatRecord("Noah", 100), winnerSeat: null })
+
+  const page = await history("mia", "?opponent=LIAM")
+  assert.deepEqual(page.record, { played: 3, wins: 1, losses: 1, draws: 1 })
+  assert.deepEqual(page.headToHead, { opponent: "LIAM", played: 2, wins: 1, losses: 1, draws: 0 })
+})
+
+test("history pages are capped", async () => {
+  for (let index = 0; index < 105; index++) {
+    await finishedMatch({ player1: seatRecord("Olga", 100), player2: seatRecord("Pete", 100) })
+  }
+
+  const page = await history("Olga", "?limit=100000")
+  assert.equal(page.matches.length, 100)
+  assert.equal(page.record.played, 105)
+})
@@ -0,0 +1,139 @@
+// Totals are checked exactly, so this file gets its own fresh in-memory storage
+delete process.env.MONGODB_URI
+delete process.env.STORAGE_FILE
+process.env.LOG_LEVEL = "error"
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { once } = require("node:events")
+const express = require("express")
+const leaderboardRoutes = require("../routes/leaderboard")
+const { getStorage } = require("../storage")
+
+const DAY = 24 * 60 * 60 * 1000
+const ACCOUNT_ID = "64b7f0c2a1b2c3d4e5f60719"
+
+let server
+let baseUrl
+
+test.before(async () => {
+  const app = express()
+  app.use("/api/leaderboard", leaderboardRoutes)
+
+  server = app.listen(0)
+  await once(server, "listening")
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/leaderboard`
+
+  const storage = await getStorage()
+  const now = Date.now()
+  const scores = [
+    { playerName: "Ana", score: 900, date: new Date(now - 2 * 60 * 1000), player: ACCOUNT_ID, guest: false },
+    { playerName: "ana", score: 700, date: new Date(now - 3 * DAY) },
+    { playerName: "Bob", score: 800, date: new Date(now - 10 * DAY) },
+    { playerName: "Cleo", score: 600, date: new Date(now - 40 * DAY) },
+    { playerName: "Dev", score: 500, date: new Date(now - 60 * 1000) },
+    { playerName: "Bob", score: 400, date: new Date(now - 5 * 60 * 1000) },
+  ]
+  for (const score of scores) {
+    await storage.scores.create(score)
+  }
+})
+
+test.after(() => server.close())
+
+async function leaderboard(query = "") {
+  const response = await fetch(`${baseUrl}${query}`)
+  return { status: response.status, body: await response.json() }
+}
+
+const names = (body) => body.scores.map(({ playerName, score, rank }) => `${rank}.${playerName}:${score}`)
+
+test("scores are ranked best first across pages", async () => {
+  const first = await leaderboard("?limit=4")
+  assert.deepEqual(names(first.body), ["1.Ana:900", "2.Bob:800", "3.ana:700", "4.Cleo:600"])
+  assert.equal(first.body.total, 6)
+  assert.equal(first.body.totalPages, 2)
+
+  const second = await leaderboard("?limit=4&page=2")
+  assert.deepEqual(names(second.body), ["5.Dev:500", "6.Bob:400"])
+})
+
+test("time windows count back from now", async () => {
+  assert.deepEqual(names((await leaderboard("?period=daily")).body), ["1.Ana:900", "2.Dev:500", "3.Bob:400"])
+  assert.equal((await leaderboard("?period=weekly")).body.total, 4)
+  assert.equal((await leaderboard("?period=monthly")).body.total, 5)
+
+  const invalid = await leaderboard("?period=yearly")
+  assert.equal(invalid.status, 400)
+})
+
+test("unique keeps each player's best score, matching names case-insensitively", async () => {
+  const { body } = await leaderboard("?unique=true")
+  assert.deepEqual(names(body), ["1.Ana:900", "2.Bob:800", "3.Cleo:600", "4.Dev:500"])
+  assert.equal(body.total, 4)
+})
+
+test("verified filters on scores tied to an account", async () => {
+  const verified = await leaderboard("?verified=true")
+  assert.deepEqual(names(verified.body), ["1.Ana:900"])
+  assert.equal(verified.body.scores[0].verified, true)
+
+  const guests = await leaderboard("?verified=false")
+  assert.equal(guests.body.total, 5)
+  assert.ok(guests.body.scores.every(({ verified }) => verified === false))
+})
+
+test("page sizes are capped and bad paging falls back to the defaults", async () => {
+  assert.equal((await leaderboard("?limit=100000")).body.pageSize, 100)
+
+  const { body } = await leaderboard("?limit=-5&page=zero")
+  assert.equal(body.pageSize, 1)
+  assert.equal(body.page, 1)
+})
+
+test("banned players are left off the leaderboard", async (t) => {
+  const storage = await getStorage()
+  await storage.bans.add({ playerName: "BOB" })
+  t.after(() => storage.bans.remove("Bob"))
+
+  const { body } = await leaderboard()
+  assert.deepEqual(names(body), ["1.Ana:900", "2.ana:700", "3.Cleo:600", "4.Dev:500"])
+})
+
+async function playerScores(name, query = "") {
+  return fetch(`${baseUrl}/player/${encodeURIComponent(name)}${query}`).then((response) => response.json())
+}
+
+test("player lookup is exact apart from case and spacing", async () => {
+  const storage = await getStorage()
+  await storage.scores.create({ playerName: "Anabel", score: 300 })
+  await storage.scores.create({ playerName: "A.a", score: 200 })
+
+  assert.deepEqual(
+    (await playerScores("  ANA ")).map(({ playerName, score }) => `${playerName}:${score}`),
+    ["Ana:900", "ana:700"],
+  )
+  assert.deepEqual(await playerScores("A.*"), [])
+  assert.equal((await playerScores("a.a")).length, 1)
+  assert.equal((await playerScores("Ana", "?limit=1")).length, 1)
+})
+
+test("player lookup pages are capped", async () => {
+  const storage = await getStorage()
+  for (let index = 0; index < 105; index++) {
+    await storage.scores.create({ playerName: "Quinn", score: index })
+  }
+
+  assert.equal((await playerScores("Quinn", "?limit=100000")).length, 100)
+})
+
+test("autocomplete finds distinct players by prefix", async () => {
+  const players = await fetch(`${baseUrl}/players?prefix=an`).then((response) => response.json())
+  assert.deepEqual(players, [
+    { playerName: "Ana", bestScore: 900 },
+    { playerName: "Anabel", bestScore: 300 },
+  ])
+
+  assert.deepEqual(await fetch(`${baseUrl}/players?prefix=.`).then((response) => response.json()), [])
+  assert.equal((await fetch(`${baseUrl}/players`)).status, 400)
+})
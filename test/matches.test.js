@@ -0,0 +1,67 @@
+delete process.env.MONGODB_URI
+delete process.env.STORAGE_FILE
+process.env.LOG_LEVEL = "error"
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { once } = require("node:events")
+const express = require("express")
+const matchRoutes = require("../routes/matches")
+const { getStorage } = require("../storage")
+
+let server
+let baseUrl
+
+test.before(async () => {
+  const app = express()
+  app.use("/api/matches", matchRoutes)
+
+  server = app.listen(0)
+  await once(server, "listening")
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/matches`
+})
+
+test.after(() => server.close())
+
+function seatRecord(name) {
+  return { name, nameKey: name.toLowerCase(), score: 100, lives: 0, scoreId: null, playerId: null, bot: null }
+}
+
+test("recent matches are newest first and capped per page", async () => {
+  const storage = await getStorage()
+  for (let index = 0; index < 105; index++) {
+    await storage.matches.create({
+      room: "main",
+      player1: seatRecord("Ana"),
+      player2: seatRecord("Bob"),
+      winnerSeat: 1,
+      winner: "Ana",
+      endReason: "one-dead",
+      maze: "classic",
+      duration: 1000,
+      startedAt: new Date(Date.UTC(2026, 0, 1, 0, index)),
+      endedAt: new Date(Date.UTC(2026, 0, 1, 0, index, 1)),
+      replay: { version: 1, inputs: [] },
+    })
+  }
+
+  const defaultPage = await fetch(baseUrl).then((response) => response.json())
+  assert.equal(defaultPage.length, 10)
+  assert.equal(defaultPage[0].endedAt, new Date(Date.UTC(2026, 0, 1, 1, 44, 1)).toISOString())
+  assert.equal(defaultPage[0].replay, undefined)
+
+  const capped = await fetch(`${baseUrl}?limit=100000`).then((response) => response.json())
+  assert.equal(capped.length, 100)
+})
+
+test("single matches are looked up by id", async () => {
+  const storage = await getStorage()
+  const [latest] = await storage.matches.recent({ limit: 1 })
+
+  const found = await fetch(`${baseUrl}/${latest._id}`)
+  assert.equal(found.status, 200)
+  assert.equal((await found.json())._id, String(latest._id))
+
+  assert.equal((await fetch(`${baseUrl}/not-an-id`)).status, 400)
+  assert.equal((await fetch(`${baseUrl}/64b7f0c2a1b2c3d4e5f60718`)).status, 404)
+})
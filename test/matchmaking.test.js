@@ -0,0 +1,60 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { createQueue, enqueue, isQueued, takePairs } = require("../game/matchmaking")
+
+function queueOf(players) {
+  const queue = createQueue()
+  players.forEach(([socketId, rating, joinedAt = 0]) => enqueue(queue, { socketId, name: socketId, rating }, joinedAt))
+  return queue
+}
+
+const names = (pairs) => pairs.map((pair) => pair.map((entry) => entry.socketId))
+
+test("players with close ratings are paired and leave the queue", () => {
+  const queue = queueOf([
+    ["ana", 1200],
+    ["bob", 1250],
+  ])
+
+  assert.deepEqual(names(takePairs(queue, 0)), [["ana", "bob"]])
+  assert.equal(queue.size, 0)
+})
+
+test("a rating gap is only bridged once the window has widened", () => {
+  const queue = queueOf([
+    ["ana", 1200],
+    ["bob", 1600],
+  ])
+
+  // Window is 100 at first and grows 20 per second of waiting
+  assert.deepEqual(takePairs(queue, 0), [])
+  assert.deepEqual(takePairs(queue, 10000), [])
+  assert.deepEqual(names(takePairs(queue, 15000)), [["ana", "bob"]])
+})
+
+test("the longest-waiting player gets the closest rating in reach", () => {
+  const queue = queueOf([
+    ["ana", 1200, 0],
+    ["bob", 1290, 1000],
+    ["cat", 1210, 2000],
+  ])
+
+  assert.deepEqual(names(takePairs(queue, 2000)), [["ana", "cat"]])
+  assert.ok(isQueued(queue, "bob"))
+})
+
+test("every possible pair is made in one pass", () => {
+  const queue = queueOf([
+    ["ana", 1200, 0],
+    ["bob", 1800, 1000],
+    ["cat", 1220, 2000],
+    ["dan", 1790, 3000],
+    ["eve", 1500, 4000],
+  ])
+
+  assert.deepEqual(names(takePairs(queue, 4000)), [
+    ["ana", "cat"],
+    ["bob", "dan"],
+  ])
+  assert.deepEqual([...queue.keys()], ["eve"])
+})
@@ -0,0 +1,48 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const compact = require("../game/mazes/compact.json")
+const { loadMaze, getMaze, listMazes } = require("../game/mazes")
+
+// Copy of the compact maze with one change applied
+function variant(change) {
+  const definition = structuredClone(compact)
+  change(definition)
+  return definition
+}
+
+function setCell(definition, x, y, char) {
+  const row = definition.layout[y]
+  definition.layout[y] = row.slice(0, x) + char + row.slice(x + 1)
+}
+
+test("the bundled mazes load", () => {
+  assert.deepEqual(
+    listMazes().map(({ id }) => id),
+    ["classic", "compact"],
+  )
+  assert.equal(getMaze("compact").width, 19)
+})
+
+test("a valid definition loads", () => {
+  const maze = loadMaze(compact)
+  assert.equal(maze.id, "compact")
+  assert.equal(maze.grid.length, compact.height)
+})
+
+test("invalid mazes are rejected with the problem", () => {
+  const cases = [
+    [(d) => setCell(d, 3, 3, "x"), /Unknown cell "x" at 3,3/],
+    [(d) => (d.height = 22), /does not match its 19x22 dimensions/],
+    [(d) => (d.tunnels[0].b.y = 10), /tunnel 0 ends do not face each other/],
+    [(d) => setCell(d, 0, 1, "."), /border is open at 0,1/],
+    [(d) => (d.spawns.player1 = { x: 0, y: 0 }), /player1 spawn at 0,0 is not walkable/],
+    [(d) => delete d.houseExit, /ghost house exit is missing/],
+    [(d) => (d.fruit.dots = [120, 50]), /fruit dots must be increasing/],
+    [(d) => (d.ghosts = []), /no ghost spawns/],
+    [(d) => setCell(d, 1, 7, "."), /dot at 1,7 is unreachable/],
+  ]
+
+  for (const [change, error] of cases) {
+    assert.throws(() => loadMaze(variant(change)), error)
+  }
+})
@@ -0,0 +1,94 @@
+// Short abandon timeout so an unresumed match can be waited out
+process.env.MATCH_ABANDON_TIMEOUT_MS = "20"
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { setTimeout: sleep } = require("node:timers/promises")
+const { createSeats, claimSeat, reserveSeat, seatBot } = require("../game/seats")
+const { startPause, clearPause, cancelCountdown, voteResume, stallingSeat, describePause } = require("../game/pause")
+
+// Room with both seats held by connected players, paused by the given seat
+function pausedRoom(t, { seat = 1, onAbandon = () => {} } = {}) {
+  const room = { seats: createSeats() }
+  claimSeat(room, 1, "a")
+  claimSeat(room, 2, "b")
+  startPause(room, { reason: "player", seat }, onAbandon)
+  t.after(() => clearPause(room))
+  return room
+}
+
+test("a match resumes only once every seated player has voted", (t) => {
+  const room = pausedRoom(t)
+
+  assert.deepEqual(voteResume(room, 1), { ready: false, waitingFor: [2] })
+  assert.deepEqual(voteResume(room, 1), { ready: false, waitingFor: [2] })
+  assert.deepEqual(voteResume(room, 2), { ready: true, waitingFor: [] })
+})
+
+test("bots don't get a vote", (t) => {
+  const room = { seats: createSeats() }
+  claimSeat(room, 1, "a")
+  seatBot(room, 2, { difficulty: "easy" })
+  startPause(room, { reason: "player", seat: 1 }, () => {})
+  t.after(() => clearPause(room))
+
+  assert.deepEqual(voteResume(room, 1), { ready: true, waitingFor: [] })
+})
+
+test("votes wait for a disconnected player to come back", (t) => {
+  const room = pausedRoom(t)
+  reserveSeat(room, 2)
+  t.after(() => clearTimeout(room.seats[2].releaseTimer))
+
+  assert.deepEqual(voteResume(room, 1), { error: "Waiting for player 2 to reconnect" })
+  assert.deepEqual(room.pause.votes, [])
+})
+
+test("cancelling the resume countdown throws away the votes", (t) => {
+  const room = pausedRoom(t)
+  voteResume(room, 1)
+  voteResume(room, 2)
+
+  assert.equal(cancelCountdown(room), false)
+  room.pause.countdownTimer = setTimeout(() => {}, 1000)
+  assert.equal(cancelCountdown(room), true)
+  assert.deepEqual(room.pause.votes, [])
+})
+
+test("the stalling seat is the one that paused until it votes", (t) => {
+  const room = pausedRoom(t, { seat: 2 })
+  assert.equal(stallingSeat(room), 2)
+
+  voteResume(room, 2)
+  assert.equal(stallingSeat(room), 1)
+
+  voteResume(room, 1)
+  assert.equal(stallingSeat(room), null)
+})
+
+test("nobody is stalling a pause neither player asked for until one of them votes", (t) => {
+  const room = pausedRoom(t, { seat: null })
+  assert.equal(stallingSeat(room), null)
+
+  voteResume(room, 1)
+  assert.equal(stallingSeat(room), 2)
+})
+
+test("a match left paused is abandoned after the timeout", async (t) => {
+  let abandoned = 0
+  const room = pausedRoom(t, { onAbandon: () => abandoned++ })
+
+  assert.equal(describePause(room).abandonAfterMs, 20)
+  await sleep(50)
+  assert.equal(abandoned, 1)
+})
+
+test("clearing a pause stops the abandon timer", async (t) => {
+  let abandoned = 0
+  const room = pausedRoom(t, { onAbandon: () => abandoned++ })
+
+  clearPause(room)
+  await sleep(50)
+  assert.equal(abandoned, 0)
+  assert.equal(describePause(room), null)
+})
@@ -0,0 +1,54 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const {
+  validateCredentials,
+  hashPassword,
+  verifyPassword,
+  signPlayerToken,
+  verifyPlayerToken,
+  bearerToken,
+} = require("../lib/playerAuth")
+
+test("passwords verify against their own hash only", async () => {
+  const stored = await hashPassword("correct horse")
+
+  assert.match(stored, /^[0-9a-f]{32}:[0-9a-f]{128}$/)
+  assert.notEqual(stored, await hashPassword("correct horse"))
+  assert.equal(await verifyPassword("correct horse", stored), true)
+  assert.equal(await verifyPassword("correct horsE", stored), false)
+  assert.equal(await verifyPassword("correct horse", "not-a-hash"), false)
+  assert.equal(await verifyPassword(undefined, stored), false)
+})
+
+test("hashing leaves the event loop free", async () => {
+  let ticks = 0
+  const timer = setInterval(() => ticks++, 1)
+
+  await Promise.all([hashPassword("one password"), hashPassword("two password"), hashPassword("red password")])
+  clearInterval(timer)
+
+  assert.ok(ticks > 0)
+})
+
+test("credentials need a valid name and a long enough password", () => {
+  assert.equal(validateCredentials("Ana Lopez", "long enough"), null)
+  assert.match(validateCredentials("ab", "long enough"), /^Name must be/)
+  assert.match(validateCredentials("Ana<script>", "long enough"), /^Name must be/)
+  assert.match(validateCredentials("Ana", "short"), /^Password must be at least 8/)
+})
+
+test("player tokens carry the account and expire", () => {
+  const now = Date.now()
+  const token = signPlayerToken({ _id: "64b7f0c2a1b2c3d4e5f60719", name: "Ana" }, now)
+
+  assert.deepEqual(verifyPlayerToken(token, now), { id: "64b7f0c2a1b2c3d4e5f60719", name: "Ana" })
+  assert.equal(verifyPlayerToken(token, now + 31 * 24 * 60 * 60 * 1000), null)
+  assert.equal(verifyPlayerToken(`${token.split(".")[0]}.forged`, now), null)
+  assert.equal(verifyPlayerToken("garbage", now), null)
+})
+
+test("bearer tokens are read from the authorization header", () => {
+  assert.equal(bearerToken("Bearer abc.def"), "abc.def")
+  assert.equal(bearerToken("Basic abc"), null)
+  assert.equal(bearerToken(undefined), null)
+})
@@ -0,0 +1,86 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { createGameState, createManualClock, createRng, step } = require("../game/engine")
+
+// Classic maze with player 1 placed on a tile and player 2 left at its spawn
+function stateWithPlayer({ x, y, direction }) {
+  const state = createGameState()
+  Object.assign(state.player1, { x, y, direction })
+  return state
+}
+
+function run(state, clock, ticks, inputs = {}, tickMs = state.rules.tickMs) {
+  for (let tick = 0; tick < ticks; tick++) {
+    clock.advance(tickMs)
+    state = step(state, tick === 0 ? inputs : {}, clock, createRng(1))
+  }
+  return state
+}
+
+const position = ({ x, y }) => [x, y]
+
+test("a turn pressed early is taken at the first opening", () => {
+  const clock = createManualClock(0)
+  let state = stateWithPlayer({ x: 3, y: 1, direction: "right" })
+
+  state = run(state, clock, 3, { player1: { down: true } })
+  assert.deepEqual(position(state.player1), [6, 1])
+  assert.equal(state.player1.nextDirection, "down")
+
+  state = run(state, clock, 1)
+  assert.deepEqual(position(state.player1), [6, 2])
+  assert.equal(state.player1.direction, "down")
+  assert.equal(state.player1.nextDirection, null)
+})
+
+test("a turn that doesn't open up in time is dropped", () => {
+  const clock = createManualClock(0)
+  let state = stateWithPlayer({ x: 2, y: 1, direction: "right" })
+
+  state = run(state, clock, 1, { player1: { down: true } })
+  assert.equal(state.player1.nextDirection, "down")
+
+  // Still blocked when the buffer runs out
+  state = run(state, clock, 1, {}, 600)
+  assert.deepEqual(position(state.player1), [4, 1])
+  assert.equal(state.player1.nextDirection, null)
+
+  // So the opening it was waiting for is passed by
+  state = run(state, clock, 3)
+  assert.deepEqual(position(state.player1), [7, 1])
+  assert.equal(state.player1.direction, "right")
+})
+
+test("a new press replaces the queued turn", () => {
+  const clock = createManualClock(0)
+  let state = stateWithPlayer({ x: 3, y: 1, direction: "right" })
+
+  state = run(state, clock, 1, { player1: { down: true } })
+  state = run(state, clock, 1, { player1: { left: true } })
+  assert.deepEqual(position(state.player1), [3, 1])
+  assert.equal(state.player1.direction, "left")
+})
+
+test("players stop at walls", () => {
+  const clock = createManualClock(0)
+  let state = stateWithPlayer({ x: 10, y: 1, direction: "right" })
+
+  state = run(state, clock, 5, { player1: { up: true } })
+  assert.deepEqual(position(state.player1), [12, 1])
+  assert.equal(state.player1.direction, "right")
+})
+
+test("players can't walk into the ghost house", () => {
+  const clock = createManualClock(0)
+  let state = stateWithPlayer({ x: 13, y: 11, direction: "left" })
+  // Keep the ghost leaving the house from knocking the player back to spawn
+  Object.assign(state.player1, { invulnerable: true, invulnerableTime: 0 })
+
+  state = run(state, clock, 1, { player1: { down: true } })
+  assert.deepEqual(position(state.player1), [12, 11])
+
+  state = stateWithPlayer({ x: 13, y: 11, direction: "down" })
+  Object.assign(state.player1, { invulnerable: true, invulnerableTime: clock.now() })
+  state = run(state, clock, 3)
+  assert.deepEqual(position(state.player1), [13, 11])
+})
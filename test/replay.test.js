@@ -0,0 +1,97 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { createGameState, createManualClock, createRng, step, finishGame } = require("../game/engine")
+const { createRecorder, recordTick, recordEnd, createPlayback, seekPlayback, playbackAt } = require("../game/replay")
+const { resolveRules } = require("../game/rules")
+
+const DIRECTIONS = ["up", "down", "left", "right"]
+// Enough lives and invulnerability that random play lasts past the seek targets
+const LONG_RULES = resolveRules({ startingLives: 10, invulnerabilityMs: 10000 }).rules
+
+// Play a match the way the server does, recording it; returns every state by tick
+function recordMatch({ seed = 12, ticks = 600, rules = LONG_RULES } = {}) {
+  const recorder = createRecorder({ seed, maze: "classic", rules, player1Name: "Ana", player2Name: "Bob" })
+  const clock = createManualClock(0)
+  const rng = createRng(seed)
+  const presses = createRng(seed + 1)
+
+  let state = createGameState({ maze: "classic", rules })
+  state.player1.name = "Ana"
+  state.player2.name = "Bob"
+  const states = [state]
+
+  while (recorder.ticks < ticks && !state.gameOver) {
+    const inputs = {}
+    if (presses() < 0.2) inputs.player1 = { [DIRECTIONS[Math.floor(presses() * 4)]]: true }
+    if (presses() < 0.2) inputs.player2 = { [DIRECTIONS[Math.floor(presses() * 4)]]: true }
+
+    clock.advance(rules.tickMs)
+    recordTick(recorder, inputs)
+    state = step(state, inputs, clock, rng)
+    states.push(state)
+  }
+
+  return { recorder, states }
+}
+
+test("a replay re-simulates to the recorded final state", () => {
+  const { recorder, states } = recordMatch()
+  const playback = playbackAt(recorder, recorder.ticks)
+
+  assert.equal(playback.tick, recorder.ticks)
+  assert.deepEqual(playback.state, states[recorder.ticks])
+})
+
+test("a replay survives a JSON round trip", () => {
+  const { recorder, states } = recordMatch({ ticks: 200 })
+  const stored = JSON.parse(JSON.stringify(recorder))
+
+  assert.deepEqual(playbackAt(stored, stored.ticks).state, states[stored.ticks])
+})
+
+test("seeking backwards and forwards lands on the recorded states", () => {
+  const { recorder, states } = recordMatch({ ticks: 900 })
+  const playback = createPlayback(recorder)
+  assert.equal(recorder.ticks, 900)
+
+  for (const tick of [850, 120, 600, 0, 401, 400, recorder.ticks]) {
+    seekPlayback(playback, tick)
+    assert.equal(playback.tick, tick)
+    assert.deepEqual(playback.state, states[tick], `state at tick ${tick}`)
+  }
+})
+
+test("seeking in chunks reaches the same state", () => {
+  const { recorder, states } = recordMatch({ ticks: 500 })
+  const playback = createPlayback(recorder)
+  assert.equal(recorder.ticks, 500)
+
+  let calls = 1
+  while (!seekPlayback(playback, 450, 100)) calls++
+
+  assert.equal(calls, 5)
+  assert.deepEqual(playback.state, states[450])
+})
+
+test("seeks past the end stop at the last tick", () => {
+  const { recorder } = recordMatch({ ticks: 50 })
+  assert.equal(recorder.ticks, 50)
+  assert.equal(playbackAt(recorder, 10000).tick, recorder.ticks)
+})
+
+test("a match ended outside the rules ends the same way in the replay", () => {
+  const { recorder, states } = recordMatch({ ticks: 100 })
+  recordEnd(recorder, "forfeit", 2)
+
+  const playback = playbackAt(recorder, recorder.ticks)
+  assert.deepEqual(playback.state, finishGame(states[recorder.ticks], "forfeit", 2))
+  assert.equal(playback.state.endReason, "forfeit")
+  assert.equal(playback.state.winner, "Bob")
+})
+
+test("replays use the rules the match was played with", () => {
+  const rules = resolveRules({ preset: "sudden-death", tickMs: 100 }).rules
+  const { recorder, states } = recordMatch({ rules, ticks: 300 })
+
+  assert.deepEqual(playbackAt(recorder, recorder.ticks).state, states[recorder.ticks])
+})
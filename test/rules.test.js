@@ -0,0 +1,51 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { DEFAULT_RULES, resolveRules, listPresets } = require("../game/rules")
+
+test("no input gives the classic defaults", () => {
+  assert.deepEqual(resolveRules(), { rules: { preset: "classic", ...DEFAULT_RULES } })
+})
+
+test("a preset name applies that preset", () => {
+  const { rules } = resolveRules("sudden-death")
+
+  assert.equal(rules.preset, "sudden-death")
+  assert.equal(rules.startingLives, 1)
+  assert.equal(rules.invulnerabilityMs, 0)
+  assert.equal(rules.powerModeMs, DEFAULT_RULES.powerModeMs)
+})
+
+test("overrides apply on top of the preset, point values one by one", () => {
+  const { rules } = resolveRules({ preset: "long-power", tickMs: 100, points: { ghost: 400 } })
+
+  assert.equal(rules.powerModeMs, 20000)
+  assert.equal(rules.tickMs, 100)
+  assert.deepEqual(rules.points, { dot: 10, powerPellet: 50, ghost: 400 })
+})
+
+test("invalid rules are rejected with a reason", () => {
+  const cases = [
+    ["nope", "Unknown rules preset: nope"],
+    [[], "Rules must be a preset name or an object"],
+    [{ lives: 3 }, "Unknown rule: lives"],
+    [{ points: 5 }, "points must be an object"],
+    [{ points: { cherry: 100 } }, "Unknown point value: cherry"],
+    [{ tickMs: 10 }, "tickMs must be a whole number between 50 and 1000"],
+    [{ startingLives: 2.5 }, "startingLives must be a whole number between 1 and 10"],
+    [{ points: { dot: -1 } }, "points.dot must be a whole number between 0 and 10000"],
+  ]
+
+  for (const [input, error] of cases) {
+    assert.deepEqual(resolveRules(input), { error }, JSON.stringify(input))
+  }
+})
+
+test("every preset is listed with its resolved rules", () => {
+  const presets = listPresets()
+
+  assert.deepEqual(
+    presets.map(({ name }) => name),
+    ["classic", "sudden-death", "long-power"],
+  )
+  presets.forEach(({ name, rules }) => assert.deepEqual(rules, resolveRules(name).rules))
+})
@@ -0,0 +1,122 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { createGameState, createManualClock, createRng, step } = require("../game/engine")
+const { FRUIT_TIMEOUT_MS, fruitForLevel } = require("../game/fruit")
+
+// Player 1 stuck against the wall at the end of the top corridor
+const CORNER = { x: 12, y: 1 }
+
+function stateInPowerMode(clock) {
+  const state = createGameState()
+  Object.assign(state.player1, { ...CORNER, direction: "right" })
+  Object.assign(state, { powerMode: true, powerModeTime: clock.now() })
+  return state
+}
+
+// A frightened ghost starts at half speed, so it stays put for the tick it is placed on the player
+function frightenedGhostAt(state, index, { x, y }) {
+  const ghost = state.ghosts[index]
+  Object.assign(ghost, { x, y, state: "frightened", originalColor: ghost.originalColor || ghost.color, color: "blue", progress: 0 })
+}
+
+function tick(state, clock, inputs = {}) {
+  clock.advance(state.rules.tickMs)
+  return step(state, inputs, clock, createRng(1))
+}
+
+test("each ghost eaten on one power pellet is worth double the last, up to 1600", () => {
+  const clock = createManualClock(0)
+  let state = stateInPowerMode(clock)
+  const events = []
+
+  for (let eaten = 0; eaten < 5; eaten++) {
+    frightenedGhostAt(state, 1 + (eaten % 3), CORNER)
+    state = tick(state, clock)
+    events.push(...state.events)
+  }
+
+  assert.deepEqual(events, [200, 400, 800, 1600, 1600].map((points) => ({ type: "ghost", points, ...CORNER, player: 1 })))
+  assert.equal(state.player1.ghostCombo, 5)
+})
+
+test("combos are tracked per player", () => {
+  const clock = createManualClock(0)
+  let state = stateInPowerMode(clock)
+  state.player1.ghostCombo = 2
+  Object.assign(state.player2, { x: 26, y: 1, direction: "up" })
+
+  frightenedGhostAt(state, 1, { x: 26, y: 1 })
+  state = tick(state, clock)
+
+  assert.deepEqual(state.events, [{ type: "ghost", points: 200, x: 26, y: 1, player: 2 }])
+  assert.equal(state.player1.ghostCombo, 2)
+})
+
+test("a new power pellet starts the combo again", () => {
+  const clock = createManualClock(0)
+  let state = stateInPowerMode(clock)
+  Object.assign(state.player1, { x: 1, y: 2, direction: "down", ghostCombo: 3 })
+
+  state = tick(state, clock)
+  assert.deepEqual([state.player1.x, state.player1.y], [1, 3])
+  assert.equal(state.player1.ghostCombo, 0)
+  assert.equal(state.powerMode, true)
+})
+
+test("the combo ends with power mode", () => {
+  const clock = createManualClock(0)
+  let state = stateInPowerMode(clock)
+  state.player1.ghostCombo = 2
+
+  clock.advance(state.rules.powerModeMs)
+  state = tick(state, clock)
+  assert.equal(state.powerMode, false)
+  assert.equal(state.player1.ghostCombo, 0)
+})
+
+test("fruit appears after the maze's dot thresholds and leaves if nobody takes it", () => {
+  const clock = createManualClock(0)
+  let state = createGameState()
+
+  state.levelDotsEaten = 60
+  state = tick(state, clock)
+  assert.equal(state.fruit, null)
+
+  state.levelDotsEaten = 70
+  state = tick(state, clock)
+  assert.deepEqual(state.fruit, { type: "cherry", points: 100, x: 13, y: 17, expiresAt: clock.now() + FRUIT_TIMEOUT_MS })
+
+  clock.advance(FRUIT_TIMEOUT_MS - state.rules.tickMs)
+  state = tick(state, clock)
+  assert.equal(state.fruit, null)
+
+  // The next one waits for the next threshold
+  state = tick(state, clock)
+  assert.equal(state.fruit, null)
+  state.levelDotsEaten = 170
+  state = tick(state, clock)
+  assert.equal(state.fruit.type, "cherry")
+  assert.equal(state.fruitsSpawned, 2)
+})
+
+test("fruit is worth more on later levels", () => {
+  assert.deepEqual(
+    [1, 2, 3, 5, 7, 9, 11, 13, 20].map((level) => fruitForLevel(level).points),
+    [100, 300, 500, 700, 1000, 2000, 3000, 5000, 5000],
+  )
+})
+
+test("fruit goes to one player only, player 1 on a tie", () => {
+  const clock = createManualClock(0)
+  let state = createGameState()
+  Object.assign(state.player1, { x: 12, y: 17, direction: "right" })
+  Object.assign(state.player2, { x: 14, y: 17, direction: "left" })
+  state.fruit = { ...fruitForLevel(1), x: 13, y: 17, expiresAt: FRUIT_TIMEOUT_MS }
+  const scores = [state.player1.score, state.player2.score]
+
+  state = tick(state, clock)
+  assert.deepEqual(state.events, [{ type: "fruit", points: 100, x: 13, y: 17, player: 1 }])
+  assert.equal(state.fruit, null)
+  // Both still get the dot under the fruit
+  assert.deepEqual([state.player1.score - scores[0], state.player2.score - scores[1]], [110, 10])
+})
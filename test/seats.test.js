@@ -0,0 +1,94 @@
+// Short grace period so the reconnect window can be waited out
+process.env.SEAT_GRACE_PERIOD_MS = "20"
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { setTimeout: sleep } = require("node:timers/promises")
+const {
+  createSeats,
+  findSeat,
+  holdsSeat,
+  claimSeat,
+  releaseSeat,
+  reserveSeat,
+  seatBot,
+  countHumans,
+  describeSeats,
+} = require("../game/seats")
+
+function createRoom() {
+  return { seats: createSeats() }
+}
+
+test("a free seat goes to the first socket that claims it", () => {
+  const room = createRoom()
+
+  const claimed = claimSeat(room, 1, "a")
+  assert.equal(claimed.seat, 1)
+  assert.match(claimed.token, /^[0-9a-f]{32}$/)
+  assert.ok(holdsSeat(room, "a", 1))
+
+  assert.deepEqual(claimSeat(room, 1, "b"), { error: "Seat already taken" })
+  assert.deepEqual(claimSeat(room, 1, "a"), claimed)
+  assert.deepEqual(claimSeat(room, 3, "b"), { error: "Invalid seat" })
+})
+
+test("moving to the other seat gives up the first", () => {
+  const room = createRoom()
+  claimSeat(room, 1, "a")
+  claimSeat(room, 2, "a")
+
+  assert.equal(findSeat(room, "a"), 2)
+  assert.equal(room.seats[1], null)
+})
+
+test("a disconnected player gets their seat back with its token", () => {
+  const room = createRoom()
+  const { token } = claimSeat(room, 1, "a")
+  reserveSeat(room, 1)
+
+  assert.equal(holdsSeat(room, "a", 1), false)
+  assert.deepEqual(claimSeat(room, 1, "b"), { error: "Seat already taken" })
+  assert.deepEqual(claimSeat(room, 1, "b", "wrong"), { error: "Seat already taken" })
+
+  assert.deepEqual(claimSeat(room, 1, "a2", token), { seat: 1, token })
+  assert.ok(holdsSeat(room, "a2", 1))
+  assert.equal(room.seats[1].releaseTimer, null)
+})
+
+test("a reserved seat is freed once the grace period runs out", async () => {
+  const room = createRoom()
+  claimSeat(room, 2, "a")
+  const expired = []
+  reserveSeat(room, 2, (seat) => expired.push(seat))
+
+  await sleep(50)
+  assert.equal(room.seats[2], null)
+  assert.deepEqual(expired, [2])
+  assert.equal(claimSeat(room, 2, "b").seat, 2)
+})
+
+test("released seats are free straight away", () => {
+  const room = createRoom()
+  claimSeat(room, 1, "a")
+  reserveSeat(room, 1)
+  releaseSeat(room, 1)
+
+  assert.equal(room.seats[1], null)
+  assert.equal(claimSeat(room, 1, "b").seat, 1)
+})
+
+test("bots only take empty seats and can't be displaced", () => {
+  const room = createRoom()
+  claimSeat(room, 1, "a")
+
+  assert.deepEqual(seatBot(room, 1, { difficulty: "easy" }), { error: "Seat already taken" })
+  assert.deepEqual(seatBot(room, 2, { difficulty: "hard" }), { seat: 2 })
+  assert.deepEqual(claimSeat(room, 2, "b"), { error: "Seat is taken by a bot" })
+  assert.equal(countHumans(room), 1)
+
+  assert.deepEqual(describeSeats(room), [
+    { seat: 1, taken: true, connected: true, bot: null },
+    { seat: 2, taken: true, connected: false, bot: "hard" },
+  ])
+})
@@ -0,0 +1,115 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { createGameState, createManualClock, createRng, step } = require("../game/engine")
+const { MAX_ACK_LAG, createSync, diffState, acknowledge, isLagging, snapshotMessage, deltaMessage } = require("../game/sync")
+
+const DIRECTIONS = ["up", "down", "left", "right"]
+
+// What a client does with a delta: patch its copy of the last state
+function applyDelta(state, delta) {
+  const next = structuredClone(state)
+
+  Object.entries(delta.players).forEach(([key, changes]) => Object.assign(next[key], changes))
+  delta.ghosts.forEach(({ index, ...changes }) => Object.assign(next.ghosts[index], changes))
+  next.dots = next.dots.filter((dot) => !delta.dotsEaten.includes(dot.id))
+  next.powerPellets = next.powerPellets.filter((pellet) => !delta.pelletsEaten.includes(pellet.id))
+  Object.assign(next, delta.state)
+
+  return next
+}
+
+// Removed fields arrive as null, so to a client null and missing are the same
+function comparable({ events, ...state }) {
+  return JSON.parse(JSON.stringify(state, (key, value) => (value === null ? undefined : value)))
+}
+
+test("a snapshot followed by deltas rebuilds every state of a match", () => {
+  const clock = createManualClock(0)
+  const rng = createRng(5)
+  const presses = createRng(6)
+  let state = createGameState()
+  let client = structuredClone(state)
+  let snapshots = 0
+
+  for (let tick = 0; tick < 400 && !state.gameOver; tick++) {
+    const inputs = {}
+    if (presses() < 0.2) inputs.player1 = { [DIRECTIONS[Math.floor(presses() * 4)]]: true }
+    if (presses() < 0.2) inputs.player2 = { [DIRECTIONS[Math.floor(presses() * 4)]]: true }
+
+    clock.advance(state.rules.tickMs)
+    const next = step(state, inputs, clock, rng)
+    const delta = diffState(state, next)
+
+    if (delta) {
+      client = applyDelta(client, delta)
+    } else {
+      client = structuredClone(next)
+      snapshots++
+    }
+    assert.deepEqual(comparable(client), comparable(next), `state after tick ${tick}`)
+    state = next
+  }
+
+  assert.equal(snapshots, 0)
+})
+
+test("deltas only carry what changed and never per-tick events", () => {
+  const state = createGameState()
+  const next = structuredClone(state)
+  next.player1.score += 10
+  next.dots = next.dots.slice(1)
+  next.events = [{ type: "dot", seat: 1, points: 10 }]
+
+  const delta = diffState(state, next)
+  assert.deepEqual(delta.players, { player1: { score: state.player1.score + 10 } })
+  assert.deepEqual(delta.ghosts, [])
+  assert.deepEqual(delta.dotsEaten, [state.dots[0].id])
+  assert.deepEqual(delta.state, {})
+
+  assert.deepEqual(diffState(state, structuredClone(state)), {
+    players: {},
+    ghosts: [],
+    dotsEaten: [],
+    pelletsEaten: [],
+    state: {},
+  })
+})
+
+test("a new maze, level or first state needs a snapshot", () => {
+  const state = createGameState()
+
+  assert.equal(diffState(null, state), null)
+  assert.equal(diffState(state, { ...state, level: state.level + 1 }), null)
+  assert.equal(diffState(state, createGameState({ maze: "compact" })), null)
+})
+
+test("messages are numbered so clients can spot a gap", () => {
+  const sync = createSync()
+  sync.seq = 7
+
+  assert.equal(snapshotMessage(sync, {}).seq, 7)
+  assert.deepEqual(
+    { seq: deltaMessage(sync, {}).seq, baseSeq: deltaMessage(sync, {}).baseSeq },
+    { seq: 7, baseSeq: 6 },
+  )
+})
+
+test("acks only move forward, up to the latest sequence sent", () => {
+  const sync = createSync()
+  sync.seq = 50
+
+  assert.equal(acknowledge(sync, 10, 40), 40)
+  assert.equal(acknowledge(sync, 40, 30), 40)
+  assert.equal(acknowledge(sync, 40, 51), 40)
+  assert.equal(acknowledge(sync, 40, "45"), 40)
+  assert.equal(acknowledge(sync, 40, 50), 50)
+})
+
+test("clients too far behind their last ack are due a snapshot", () => {
+  const sync = createSync()
+  sync.seq = 100
+
+  assert.equal(isLagging(sync, 100 - MAX_ACK_LAG), false)
+  assert.equal(isLagging(sync, 99 - MAX_ACK_LAG), true)
+  assert.equal(isLagging(sync, Number.MAX_SAFE_INTEGER), false)
+})